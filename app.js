@@ -1,356 +1,16 @@
 /**
- * Processes JSON Schema files and extracts table data for rendering
+ * Column selector dropdown for the data dictionary table: show/hide columns
+ * with checkboxes and reorder them by dragging
  */
-class SchemaProcessor {
-    // Keywords that should not be shown as available columns
-    static EXCLUDED_KEYWORDS = new Set([
-        // System keywords
-        '$schema', '$id', '$ref', 'properties', 'items', 'allOf', 'anyOf', 'oneOf',
-        // Default column keywords that are always handled
-        'name', 'description', 'type', 'enum', 'enumDescriptions',
-        // Keywords consolidated into constraints column
-        'required', 'const', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
-        'minLength', 'maxLength', 'pattern', 'multipleOf', 'minItems', 'maxItems',
-        'uniqueItems', 'minProperties', 'maxProperties'
-    ]);
-
-    constructor() {
-        this.schemas = new Map();      // keyed by $id or filename, for $ref resolution
-        this.schemaList = [];          // insertion-ordered list for table output
-        this.mainSchema = null;
-        this.keywordUsage = new Map();
-    }
-
-    /**
-     * Normalise a GitHub blob URL to a raw.githubusercontent.com URL.
-     * Non-GitHub URLs are returned unchanged.
-     * @param {string} url
-     * @returns {string}
-     */
-    static normalizeGitHubURL(url) {
-        try {
-            const u = new URL(url);
-            if (u.hostname === 'github.com') {
-                // /user/repo/blob/branch/path/to/file.json
-                const parts = u.pathname.split('/').filter(Boolean);
-                if (parts.length >= 4 && parts[2] === 'blob') {
-                    const [user, repo, , branch, ...rest] = parts;
-                    return `https://raw.githubusercontent.com/${user}/${repo}/${branch}/${rest.join('/')}`;
-                }
-            }
-        } catch { /* leave unchanged */ }
-        return url;
-    }
-
-    /**
-     * Process multiple JSON Schema files and identify the main schema.
-     * @param {File[]} files - File objects from the file picker
-     * @param {{ text: string, name: string }[]} extraSchemas - Pre-fetched schemas (e.g. from URLs)
-     * @returns {Promise<boolean>} True if main schema was identified
-     */
-    async processFiles(files, extraSchemas = []) {
-        this.schemas.clear();
-        this.schemaList = [];
-        this.mainSchema = null;
-        this.keywordUsage.clear();
-
-        let objectSchemaCandidate = null;
-
-        const registerSchema = (schema, name) => {
-            schema._sourceName = name; // fallback label if schema has no title
-            if (schema.$id) {
-                this.schemas.set(schema.$id, schema);
-            } else {
-                this.schemas.set(name, schema);
-            }
-            this.schemaList.push(schema);
-            // Prefer a type:array dataset-level schema as the main schema.
-            // Fall back to the first type:object schema found.
-            if (schema.type === 'array' && schema.items) {
-                this.mainSchema = schema;
-            } else if (!objectSchemaCandidate && (schema.type === 'object' || schema.properties)) {
-                objectSchemaCandidate = schema;
-            }
-        };
-
-        for (const file of files) {
-            const text = await file.text();
-            registerSchema(JSON.parse(text), file.name);
-        }
-
-        for (const { text, name } of extraSchemas) {
-            registerSchema(JSON.parse(text), name);
-        }
-
-        // If no type:array schema found, use the best type:object candidate
-        if (!this.mainSchema) {
-            this.mainSchema = objectSchemaCandidate || this.schemas.values().next().value || null;
-        }
-
-        // Collect keyword usage after processing all schemas
-        if (this.mainSchema) {
-            this.collectKeywordUsage();
-        }
-
-        return this.mainSchema !== null;
-    }
-
-    /**
-     * Resolve a JSON Schema $ref reference
-     * @param {string} ref - The $ref string to resolve
-     * @param {Object} baseSchema - The base schema for internal refs
-     * @returns {Object|null} The resolved schema or null
-     */
-    resolveRef(ref, baseSchema) {
-        if (ref.startsWith('#')) {
-            // Internal reference
-            const path = ref.substring(2).split('/');
-            let current = baseSchema;
-            for (const segment of path) {
-                current = current[segment];
-                if (!current) return null;
-            }
-            return current;
-        } else {
-            // External reference
-            for (const [id, schema] of this.schemas) {
-                if (id.endsWith(ref) || ref.endsWith(id)) {
-                    return schema;
-                }
-            }
-            // Try simple filename match
-            return this.schemas.get(ref) || null;
-        }
-    }
-
-    /**
-     * @param {Object}  schema
-     * @param {string|null} category
-     * @param {boolean} forceCategory  When true, ALL nested allOf/$ref schemas
-     *   inherit the same category instead of using their own title.
-     *   Use this when each uploaded file should appear as exactly one section.
-     */
-    extractProperties(schema, category = null, forceCategory = false) {
-        const result = [];
-
-        if (schema.properties) {
-            for (const [name, propSchema] of Object.entries(schema.properties)) {
-                result.push({
-                    category: category,
-                    name: name,
-                    schema: propSchema,
-                    required: schema.required?.includes(name) || false
-                });
-
-                // If this property is a nested array of objects, expand its item
-                // properties as additional rows grouped under a sub-category.
-                // When forceCategory=true (multi-schema mode) keep the parent category
-                // so array items don't create a separate section in the filter dropdown.
-                if (propSchema.type === 'array' && propSchema.items?.properties) {
-                    const arrayCategory = forceCategory ? category : `${name} — array items`;
-                    const subItems = this.extractProperties(propSchema.items, arrayCategory, forceCategory);
-                    subItems.forEach(item => { if (!item.arrayParent) item.arrayParent = name; });
-                    result.push(...subItems);
-                }
-            }
-        }
-
-        if (schema.allOf) {
-            for (const subSchema of schema.allOf) {
-                if (subSchema.$ref) {
-                    const resolved = this.resolveRef(subSchema.$ref, schema);
-                    if (resolved) {
-                        // If forceCategory, keep the parent category; otherwise use sub-schema title
-                        const subCategory = forceCategory ? category : (resolved.title || category);
-                        result.push(...this.extractProperties(resolved, subCategory, forceCategory));
-                    }
-                } else {
-                    result.push(...this.extractProperties(subSchema, category, forceCategory));
-                }
-            }
-        }
-
-        return result;
-    }
-
-    collectKeywordUsage() {
-        const properties = this.getTableData()?.properties || [];
-
-        for (const prop of properties) {
-            const schema = prop.schema;
-
-            // Collect all keywords from the schema
-            for (const keyword of Object.keys(schema)) {
-                if (!SchemaProcessor.EXCLUDED_KEYWORDS.has(keyword)) {
-                    const count = this.keywordUsage.get(keyword) || 0;
-                    this.keywordUsage.set(keyword, count + 1);
-                }
-            }
-        }
-    }
-
-    getKeywordUsageStats() {
-        // Sort by usage count (descending)
-        return Array.from(this.keywordUsage.entries())
-            .sort((a, b) => b[1] - a[1])
-            .map(([keyword, count]) => ({ keyword, count }));
-    }
-
-    getTableData() {
-        if (!this.mainSchema) return null;
-
-        // Case 1: dataset-level array schema — resolve its item/row schema and
-        // use the existing allOf/$ref resolution path.
-        if (this.mainSchema.type === 'array' && this.mainSchema.items) {
-            let rowSchema = this.mainSchema.items;
-            if (rowSchema?.$ref) {
-                const resolved = this.resolveRef(rowSchema.$ref, this.mainSchema);
-                if (resolved) rowSchema = resolved;
-            }
-            if (!rowSchema) return null;
-            return {
-                title: this.mainSchema.title || rowSchema.title || 'Dataset Schema',
-                description: this.mainSchema.description || rowSchema.description || '',
-                properties: this.extractProperties(rowSchema)
-            };
-        }
-
-        // Case 2: multiple type:object schemas uploaded directly — combine all
-        // into a single table, one category per schema (no wrapper files needed).
-        // Use schemaList (not schemas.values()) to preserve the exact insertion order.
-        // Include any schema that isn't a dataset-level array wrapper
-        const objectSchemas = this.schemaList.filter(
-            s => !(s.type === 'array' && s.items)
-        );
-        if (objectSchemas.length > 1) {
-            // If two schemas share the same title (e.g. wrong title in schema file),
-            // fall back to the cleaned filename so each file gets its own section.
-            const titleCount = new Map();
-            for (const s of objectSchemas) {
-                if (s.title) titleCount.set(s.title, (titleCount.get(s.title) || 0) + 1);
-            }
-            const cleanName = src => src.replace(/\.json$/i, '').replace(/_/g, ' ');
-
-            const allProperties = [];
-            for (const schema of objectSchemas) {
-                const titleIsUnique = schema.title && titleCount.get(schema.title) === 1;
-                const cat = titleIsUnique
-                    ? schema.title
-                    : (schema._sourceName ? cleanName(schema._sourceName) : schema.title || null);
-                allProperties.push(...this.extractProperties(schema, cat, true));
-            }
-            const titles = objectSchemas.map(s => s.title).filter(Boolean).join(', ');
-            return {
-                title: 'Combined Data Dictionary',
-                description: titles ? `Sections: ${titles}` : `Combined from ${objectSchemas.length} schema files`,
-                properties: allProperties
-            };
-        }
-
-        // Case 3: single type:object schema.
-        return {
-            title: this.mainSchema.title || 'Dataset Schema',
-            description: this.mainSchema.description || '',
-            properties: this.extractProperties(this.mainSchema)
-        };
-    }
-}
-
-/**
- * Manages column selection, ordering, and rendering for the data dictionary table
- */
-class ColumnManager {
+class ColumnSelector extends ColumnManager {
     constructor() {
-        // Default columns that are always shown initially
-        this.defaultColumns = [
-            { keyword: 'name', display: 'Variable Name', width: 150 },
-            { keyword: 'description', display: 'Description', width: 300 },
-            { keyword: 'type', display: 'Data Type', width: 110 },
-            { keyword: 'format', display: 'Format', width: 140 },
-            { keyword: 'enum', display: 'Valid Values', width: 140 },
-            { keyword: 'constraints', display: 'Constraints', width: 150 },
-            { keyword: 'additionalInfo', display: 'Additional Info', width: 120 }
-        ];
-
-        // Default column order
-        this.defaultColumnOrder = this.defaultColumns.map(c => c.keyword);
-
-        // All possible column definitions
-        this.columnDefinitions = {
-            name: { display: 'Variable Name', width: 150 },
-            description: { display: 'Description', width: 300 },
-            type: { display: 'Data Type', width: 110 },
-            enum: { display: 'Valid Values', width: 140 },
-            constraints: { display: 'Constraints', width: 150 },
-            additionalInfo: { display: 'Additional Info', width: 120 },
-            // Additional columns that can be pulled from Additional Info
-            format: { display: 'Format', width: 100 },
-            default: { display: 'Default', width: 100 },
-            deprecated: { display: 'Deprecated', width: 90 },
-            readOnly: { display: 'Read Only', width: 90 },
-            writeOnly: { display: 'Write Only', width: 90 },
-            title: { display: 'Title', width: 150 },
-            examples: { display: 'Examples', width: 200 }
-        };
-
-        // Keywords that are consolidated into other columns and shouldn't appear as options
-        this.consolidatedKeywords = new Set([
-            'required', 'const', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
-            'minLength', 'maxLength', 'pattern', 'multipleOf', 'minItems', 'maxItems',
-            'uniqueItems', 'minProperties', 'maxProperties', 'enumDescriptions'
-        ]);
-
-        // Currently selected columns
-        this.selectedColumns = this.defaultColumns.map(c => c.keyword);
+        super();
 
         // Track the current drag operation
         this.draggedIndex = null;
-    }
-
-    getSelectedColumns() {
-        return this.selectedColumns;
-    }
-
-    setSelectedColumns(columns) {
-        this.selectedColumns = columns;
-    }
-
-    moveColumn(fromIndex, toIndex) {
-        if (fromIndex === toIndex) return;
-
-        const columns = [...this.selectedColumns];
-        const [movedColumn] = columns.splice(fromIndex, 1);
-        columns.splice(toIndex, 0, movedColumn);
-
-        this.selectedColumns = columns;
-        return columns;
-    }
-
-    resetColumnOrder() {
-        // Reset to default order, keeping only currently selected columns
-        const selected = new Set(this.selectedColumns);
-        this.selectedColumns = this.defaultColumnOrder.filter(col => selected.has(col));
-
-        // Add any selected columns not in default order at the end
-        for (const col of selected) {
-            if (!this.defaultColumnOrder.includes(col)) {
-                this.selectedColumns.push(col);
-            }
-        }
-
-        return this.selectedColumns;
-    }
-
-    getColumnDefinition(keyword) {
-        return this.columnDefinitions[keyword] ||
-               { display: this.formatKeywordDisplay(keyword), width: 120 };
-    }
 
-    formatKeywordDisplay(keyword) {
-        // Convert camelCase to Title Case
-        return keyword.replace(/([A-Z])/g, ' $1')
-                     .replace(/^./, str => str.toUpperCase())
-                     .trim();
+        // Set once a data file has been validated, which makes the Data Check column available
+        this.validationAvailable = false;
     }
 
     renderColumnSelector(keywordStats) {
@@ -404,7 +64,7 @@ class ColumnManager {
         for (let i = 0; i < this.selectedColumns.length; i++) {
             const keyword = this.selectedColumns[i];
             const def = this.getColumnDefinition(keyword);
-            const count = keyword === 'additionalInfo' ? null : keywordCountMap.get(keyword) || null;
+            const count = keyword === 'additionalInfo' || keyword === 'validation' ? null : keywordCountMap.get(keyword) || null;
             this.renderCheckboxItem(checkboxList, keyword, def.display, count, addedKeywords, i, true);
         }
 
@@ -418,6 +78,9 @@ class ColumnManager {
         if (!addedKeywords.has('additionalInfo')) {
             unselectedKeywords.push({ keyword: 'additionalInfo', count: null });
         }
+        if (this.validationAvailable && !addedKeywords.has('validation')) {
+            unselectedKeywords.push({ keyword: 'validation', count: null });
+        }
 
         // Then add all keywords actually found in the schema
         if (this.keywordStats) {
@@ -655,917 +318,227 @@ class ColumnManager {
             tableOutput.innerHTML = window.renderer.render(window.currentData, this.selectedColumns);
         }
     }
-
 }
 
 /**
- * Renders schema data as HTML tables and exports to CSV/Excel formats
+ * TableRenderer for the page: row selection and file downloads (FileSaver)
  */
-class TableRenderer {
-    // Standard JSON Schema format descriptions
-    static FORMAT_DESCRIPTIONS = {
-        // Dates and Times
-        'date-time': {
-            description: 'Date and time together',
-            example: '2018-11-13T20:20:39+00:00'
-        },
-        'time': {
-            description: 'Time',
-            example: '20:20:39+00:00'
-        },
-        'date': {
-            description: 'Date',
-            example: '2018-11-13'
-        },
-        'duration': {
-            description: 'ISO 8601 duration',
-            example: 'P3D (3 days)'
-        },
-
-        // Email Addresses
-        'email': {
-            description: 'Email address',
-            example: 'user@example.com'
-        },
-        'idn-email': {
-            description: 'Internationalized email',
-            example: 'user@例え.jp'
-        },
-
-        // Hostnames
-        'hostname': {
-            description: 'Internet host name',
-            example: 'example.com'
-        },
-        'idn-hostname': {
-            description: 'Internationalized hostname',
-            example: '例え.jp'
-        },
-
-        // IP Addresses
-        'ipv4': {
-            description: 'IPv4 address',
-            example: '192.168.1.1'
-        },
-        'ipv6': {
-            description: 'IPv6 address',
-            example: '2001:db8::8a2e:370:7334'
-        },
-
-        // Resource Identifiers
-        'uuid': {
-            description: 'Universally Unique Identifier',
-            example: '3e4666bf-d5e5-4aa7-b8ce-cefe41c7568a'
-        },
-        'uri': {
-            description: 'URI',
-            example: 'https://example.com/path'
-        },
-        'uri-reference': {
-            description: 'URI or relative reference',
-            example: '/path/to/resource'
-        },
-        'iri': {
-            description: 'Internationalized URI',
-            example: 'https://例え.jp/path'
-        },
-        'iri-reference': {
-            description: 'Internationalized URI reference',
-            example: '/パス/リソース'
-        },
-
-        // Templates and Pointers
-        'uri-template': {
-            description: 'URI Template',
-            example: '/users/{id}/posts{?limit}'
-        },
-        'json-pointer': {
-            description: 'JSON Pointer',
-            example: '/foo/bar/0'
-        },
-        'relative-json-pointer': {
-            description: 'Relative JSON Pointer',
-            example: '0/foo/bar'
-        },
-
-        // Regular Expressions
-        'regex': {
-            description: 'Regular expression',
-            example: '^[a-z]+$'
-        }
-    };
+class BrowserTableRenderer extends TableRenderer {
+    // Global handlers the standalone HTML export needs for its search, filter and toggles
+    static STANDALONE_HANDLERS = ['toggleEnum', 'toggleAdditional', 'applyFilters', 'toggleCategory', 'collapseAllCategories'];
 
-    constructor(columnManager) {
-        this.columnManager = columnManager;
+    isSelected(key) {
+        return window.selectedVars?.has(key) || false;
     }
 
-    getFormatDescription(format) {
-        return TableRenderer.FORMAT_DESCRIPTIONS[format] || null;
-    }
-
-    formatType(schema) {
-        if (Array.isArray(schema.type)) {
-            return schema.type.join(' | ');
-        }
-        return schema.type || 'any';
-    }
+    /**
+     * Download the dictionary in one of TableRenderer.EXPORT_FORMATS
+     * @param {string} format - Key of TableRenderer.EXPORT_FORMATS
+     * @param {Object} data - Processed schema data with properties array
+     * @param {Array<string>} selectedColumns - Optional array of column keywords to export
+     */
+    async exportAs(format, data, selectedColumns = null) {
+        if (!data) return;
 
-    formatValue(value, isJson = false) {
-        if (value === null || value === undefined) {
-            return '';
-        }
+        const info = TableRenderer.EXPORT_FORMATS[format];
+        if (!info) throw new Error(`Unknown export format: ${format}`);
 
-        if (typeof value === 'boolean') {
-            return value ? 'true' : 'false';
+        if (info.extension === 'xlsx') {
+            await this.exportToExcel(data, selectedColumns, { sheetPerCategory: !!info.sheetPerCategory });
+            return;
         }
 
-        if (typeof value === 'object') {
-            const json = JSON.stringify(value, null, 2);
-            if (json.length > 100) {
-                return `<span class="cell-value-json" title="${this.escapeHtml(json)}">${this.escapeHtml(json.substring(0, 100))}...</span>`;
-            }
-            return `<span class="cell-value-json">${this.escapeHtml(json)}</span>`;
-        }
+        const content = format === 'html'
+            ? await this.renderStandalonePage(data, selectedColumns)
+            : this.exportText(format, data, selectedColumns);
+        const blob = new Blob([content], { type: `${info.mimeType};charset=utf-8` });
+        saveAs(blob, `${data.title || 'data_dictionary'}.${info.extension}`);
+    }
 
-        if (isJson) {
-            return `<span class="cell-value-json">${this.escapeHtml(String(value))}</span>`;
+    /**
+     * The interactive table as a single HTML file, with this page's styles and filter
+     * handlers copied in so it works offline
+     * @param {Object} data - Processed schema data with properties array
+     * @param {Array<string>} selectedColumns - Optional array of column keywords to show
+     * @returns {Promise<string>} HTML document
+     */
+    async renderStandalonePage(data, selectedColumns = null) {
+        const css = await BrowserTableRenderer.readStyles();
+        if (!css) {
+            alert('The page styles could not be read, so the HTML file will be unstyled. ' +
+                'Open the tool from a web server (not as a file) to include them.');
         }
 
-        return this.escapeHtml(String(value));
+        const handlers = BrowserTableRenderer.STANDALONE_HANDLERS
+            .map(name => `window.${name} = ${window[name]};`);
+        handlers.push(`document.addEventListener('click', (e) => {
+    if (!e.target.classList.contains('enum-toggle')) {
+        document.querySelectorAll('.enum-list.show').forEach(el => el.classList.remove('show'));
     }
+});`);
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return this.renderInteractiveDocument(data, selectedColumns, css, handlers.join('\n\n'));
     }
 
     /**
-     * Format constraint information from schema into an array of strings
-     * @param {Object} prop - Property object with name and required flag
-     * @param {Object} schema - JSON Schema object
-     * @returns {Array<string>} Array of constraint strings
+     * The text of styles.css, as cli.js reads it. Pages opened as a file may not be
+     * allowed to fetch it, so the rules the page has loaded are the fallback.
+     * @returns {Promise<string>} Empty when neither could be read
      */
-    formatConstraintsColumn(prop, schema) {
-        const constraints = [];
-
-        // Add required status
-        if (prop.required) {
-            constraints.push('Required');
-        }
-
-        // Range constraints
-        if (schema.minimum !== undefined || schema.maximum !== undefined ||
-            schema.exclusiveMinimum !== undefined || schema.exclusiveMaximum !== undefined) {
-            let min = '';
-            let max = '';
-
-            if (schema.minimum !== undefined) {
-                min = schema.minimum;
-            } else if (schema.exclusiveMinimum !== undefined) {
-                min = `>${schema.exclusiveMinimum}`;
-            }
-
-            if (schema.maximum !== undefined) {
-                max = schema.maximum;
-            } else if (schema.exclusiveMaximum !== undefined) {
-                max = `<${schema.exclusiveMaximum}`;
-            }
-
-            if (min !== '' || max !== '') {
-                const rangeStr = min !== '' && max !== '' ? `${min}-${max}` : `${min}${max}`;
-                constraints.push(`Range: ${rangeStr}`);
-            }
-        }
-
-        // Length constraints
-        if (schema.minLength !== undefined || schema.maxLength !== undefined) {
-            if (schema.minLength === schema.maxLength) {
-                constraints.push(`${schema.minLength} chars`);
-            } else {
-                const minLen = schema.minLength || '0';
-                const maxLen = schema.maxLength || '∞';
-                constraints.push(`${minLen}-${maxLen} chars`);
-            }
-        }
-
-        // Pattern
-        if (schema.pattern) {
-            // Truncate long patterns
-            const pattern = schema.pattern.length > 30 ?
-                schema.pattern.substring(0, 30) + '...' : schema.pattern;
-            constraints.push(`Pattern: ${pattern}`);
-        }
-
-        // Multiple of
-        if (schema.multipleOf) {
-            constraints.push(`Multiple of ${schema.multipleOf}`);
-        }
-
-        // Items constraints
-        if (schema.minItems !== undefined || schema.maxItems !== undefined) {
-            if (schema.minItems === schema.maxItems) {
-                constraints.push(`${schema.minItems} items`);
-            } else {
-                const minItems = schema.minItems || '0';
-                const maxItems = schema.maxItems || '∞';
-                constraints.push(`${minItems}-${maxItems} items`);
-            }
-        }
-
-        // Unique items
-        if (schema.uniqueItems) {
-            constraints.push('Unique items');
-        }
+    static async readStyles() {
+        const link = document.querySelector('link[rel="stylesheet"][href*="styles.css"]');
+        try {
+            const res = await fetch(link ? link.href : 'styles.css');
+            if (res.ok) return await res.text();
+        } catch { /* fall back to the loaded rules */ }
 
-        // Properties constraints
-        if (schema.minProperties !== undefined || schema.maxProperties !== undefined) {
-            if (schema.minProperties === schema.maxProperties) {
-                constraints.push(`${schema.minProperties} properties`);
-            } else {
-                const minProps = schema.minProperties || '0';
-                const maxProps = schema.maxProperties || '∞';
-                constraints.push(`${minProps}-${maxProps} properties`);
+        return Array.from(document.styleSheets).map(sheet => {
+            try {
+                return Array.from(sheet.cssRules, rule => rule.cssText).join('\n');
+            } catch {
+                return ''; // stylesheet from another origin, or from a file in some browsers
             }
-        }
-
-        // Const value constraint
-        if (schema.const !== undefined) {
-            constraints.push(`Const: ${schema.const}`);
-        }
-
-        return constraints;
+        }).join('\n').trim();
     }
 
-    formatEnum(schema) {
-        if (!schema.enum) return '';
-
-        const hasDescriptions = schema.enumDescriptions &&
-            Array.isArray(schema.enumDescriptions) &&
-            schema.enumDescriptions.length === schema.enum.length;
-
-        const enumId = 'enum_' + Math.random().toString(36).substr(2, 9);
-
-        let html = `<div class="enum-container">
-            <span class="enum-toggle" onclick="toggleEnum('${enumId}')">
-                ${schema.enum.length} values ▼
-            </span>
-            <div id="${enumId}" class="enum-list">`;
-
-        schema.enum.forEach((value, index) => {
-            const desc = hasDescriptions ? schema.enumDescriptions[index] : '';
-            html += `<div class="enum-item">
-                <div class="enum-value">${this.escapeHtml(String(value))}</div>
-                ${desc ? `<div class="enum-desc">${this.escapeHtml(desc)}</div>` : ''}
-            </div>`;
-        });
-
-        html += `</div></div>`;
-        return html;
+    async exportToExcel(data, selectedColumns = null, options = {}) {
+        if (!data) return;
+        await this.saveWorkbook(this.createExcelWorkbook(data, selectedColumns, options), `${data.title || 'data_dictionary'}.xlsx`);
     }
 
-    formatCellValue(keyword, prop, schema) {
-        switch (keyword) {
-            case 'name':
-                return `<span class="variable-name">${prop.name}</span>`;
-
-            case 'description':
-                return schema.description || '';
-
-            case 'type':
-                return `<span class="data-type">${this.formatType(schema)}</span>`;
-
-            case 'enum':
-                if (schema.const !== undefined) {
-                    return `<span class="const-value">${this.escapeHtml(String(schema.const))}</span>`;
-                }
-                return this.formatEnum(schema);
-
-            case 'constraints':
-                const constraints = this.formatConstraintsColumn(prop, schema);
-                return constraints.map(c => `<span class="constraint">${this.escapeHtml(c)}</span>`).join(' ');
-
-            case 'default':
-                return schema.default !== undefined ?
-                    this.formatValue(schema.default, true) : '';
-
-            case 'format':
-                if (!schema.format) return '';
-
-                const formatInfo = this.getFormatDescription(schema.format);
-                if (formatInfo) {
-                    // Built-in format with description
-                    return `<div class="format-info">
-                        <span class="format-name">${schema.format}</span>
-                        <div class="format-details">
-                            <span class="format-description">${formatInfo.description}</span>
-                            <span class="format-example">e.g., ${this.escapeHtml(formatInfo.example)}</span>
-                        </div>
-                    </div>`;
-                } else {
-                    // Custom format
-                    return `<div class="format-info">
-                        <span class="format-name custom">${schema.format}</span>
-                        <span class="format-custom-label">(custom)</span>
-                    </div>`;
-                }
-
-            case 'deprecated':
-            case 'readOnly':
-            case 'writeOnly':
-                return schema[keyword] === true ?
-                    '<span class="required-badge">Yes</span>' : '';
-
-            case 'title':
-                return schema.title || '';
-
-            case 'examples':
-                if (schema.examples && Array.isArray(schema.examples)) {
-                    return this.formatValue(schema.examples, true);
-                }
-                return '';
-
-            case 'additionalInfo':
-                return this.formatAdditionalInfo(prop, schema);
-
-            default:
-                // For any other keyword, display its value if it exists
-                if (schema[keyword] !== undefined) {
-                    return this.formatValue(schema[keyword]);
-                }
-                return '';
-        }
+    /**
+     * Download a data-entry workbook for the given variables
+     * @param {Object} data - Processed schema data with properties array
+     */
+    async exportTemplate(data) {
+        if (!data) return;
+        await this.saveWorkbook(this.createTemplateWorkbook(data),
+            `${data.title || 'data_dictionary'} - data entry template.xlsx`);
     }
 
-    formatAdditionalInfo(prop, schema) {
-        // Get currently displayed columns
-        const displayedColumns = this.columnManager.getSelectedColumns();
-
-        // Collect all other keywords not in displayed columns or excluded
-        const additionalData = {};
-        for (const [key, value] of Object.entries(schema)) {
-            if (!SchemaProcessor.EXCLUDED_KEYWORDS.has(key) &&
-                !displayedColumns.includes(key) &&
-                value !== undefined && value !== null) {
-                additionalData[key] = value;
-            }
-        }
-
-        if (Object.keys(additionalData).length === 0) {
-            return '';
-        }
-
-        // Create a collapsible section for additional info
-        const addId = 'add_' + Math.random().toString(36).substr(2, 9);
-        const items = Object.entries(additionalData).map(([k, v]) => {
-            let displayValue;
-            if (typeof v === 'object') {
-                displayValue = JSON.stringify(v, null, 2);
-            } else {
-                displayValue = String(v);
-            }
-            return `<div class="property"><strong>${this.columnManager.formatKeywordDisplay(k)}:</strong> ${this.escapeHtml(displayValue)}</div>`;
-        }).join('');
-
-        return `<span class="additional-info" onclick="toggleAdditional('${addId}')">
-            ${Object.keys(additionalData).length} properties...
-        </span>
-        <div id="${addId}" class="additional-content">
-            ${items}
-        </div>`;
+    /**
+     * Export the compare-mode change log to an Excel sheet
+     * @param {Object} diff - Result of DictionaryDiff.compare
+     */
+    async exportDiffToExcel(diff) {
+        if (!diff) return;
+        await this.saveWorkbook(this.createDiffWorkbook(diff), `${diff.afterTitle || 'data_dictionary'} - change log.xlsx`);
     }
 
     /**
-     * Format enum values for export (CSV/Excel)
-     * @param {Object} schema - The schema object
-     * @param {string} format - Output format: 'csv' or 'excel'
-     * @returns {string} Formatted enum values
+     * Export the schema quality findings
+     * @param {Object} report - Result of SchemaLinter.lint
+     * @param {Object} data - Table data the report was produced for
      */
-    formatEnumForExport(schema, format = 'csv') {
-        if (!schema.enum) return '';
-
-        const hasDescriptions = schema.enumDescriptions &&
-            Array.isArray(schema.enumDescriptions) &&
-            schema.enumDescriptions.length === schema.enum.length;
-
-        const prefix = format === 'excel' ? '• ' : '';
-        const separator = hasDescriptions ? ': ' : '';
-
-        if (hasDescriptions) {
-            return schema.enum.map((value, index) =>
-                `${prefix}${value}${separator}${schema.enumDescriptions[index]}`
-            ).join('\n');
-        } else {
-            return schema.enum.map(value => `${prefix}${value}`).join(format === 'excel' ? '\n' : '\n');
-        }
+    async exportQualityToExcel(report, data) {
+        if (!report || !data) return;
+        await this.saveWorkbook(this.createQualityWorkbook(report, data),
+            `${data.title || 'data_dictionary'} - quality report.xlsx`);
     }
 
     /**
-     * Format additional info for export (CSV/Excel)
-     * @param {Object} prop - The property object
-     * @param {Object} schema - The schema object
-     * @returns {string} Formatted additional info
+     * Export data-file validation results
+     * @param {Object} report - Result of DataValidator.validate
+     * @param {Object} data - Table data the report was produced for
+     * @param {string} dataFileName - Name of the validated data file
      */
-    formatAdditionalInfoForExport(prop, schema) {
-        // Get currently displayed columns
-        const displayedColumns = this.columnManager.getSelectedColumns();
-
-        // Collect all other keywords not in displayed columns or excluded
-        const additionalData = [];
-        for (const [key, value] of Object.entries(schema)) {
-            if (!SchemaProcessor.EXCLUDED_KEYWORDS.has(key) &&
-                !displayedColumns.includes(key) &&
-                value !== undefined && value !== null) {
-                const displayValue = typeof value === 'object' ?
-                    JSON.stringify(value, null, 2) : String(value);
-                additionalData.push(`${this.columnManager.formatKeywordDisplay(key)}: ${displayValue}`);
-            }
-        }
-
-        return additionalData.join('\n');
+    async exportValidationToExcel(report, data, dataFileName = 'data') {
+        if (!report || !data) return;
+        await this.saveWorkbook(this.createValidationWorkbook(report, data, dataFileName),
+            `${dataFileName.replace(/\.[^.]+$/, '')} - validation.xlsx`);
     }
 
     /**
-     * Render the data dictionary as an HTML table
-     * @param {Object} data - Processed schema data with properties array
-     * @param {Array<string>} selectedColumns - Optional array of column keywords to display
-     * @returns {string} HTML string for the table
+     * Write a workbook to an .xlsx download
+     * @param {Object} workbook - ExcelJS workbook
+     * @param {string} fileName
      */
-    render(data, selectedColumns = null) {
-        if (!data) return '<div class="error-message">No valid schema data to display</div>';
-
-        const columns = selectedColumns || this.columnManager.getSelectedColumns();
-        const hasCategories = data.properties.some(p => p.category);
-        const colSpan = columns.length + 1; // +1 for checkbox column
-
-        // Collect unique categories for filter dropdown
-        const categories = hasCategories
-            ? [...new Set(data.properties.map(p => p.category)
-                .filter(c => c && !c.endsWith('— array items')))]
-            : [];
-
-        let html = `<div class="table-container">
-            <div class="table-header">
-                <div class="table-title">${data.title}</div>
-                ${data.description ? `<div class="subtitle" style="margin-top:4px;">${data.description}</div>` : ''}
-            </div>`;
-
-        // Category filter + collapse controls (only when there are multiple categories)
-        if (categories.length > 1) {
-            html += `<div class="category-filter-wrapper">
-                <span class="category-filter-label">Show category:</span>
-                <select class="category-filter-select" id="categoryFilter" onchange="applyFilters()">
-                    <option value="ALL">All categories</option>
-                    ${categories.map(c => `<option value="${this.escapeHtml(c)}">${this.escapeHtml(c)}</option>`).join('')}
-                </select>
-                <button class="btn-collapse-all" onclick="collapseAllCategories(true)"  title="Collapse all sections">Collapse all</button>
-                <button class="btn-collapse-all" onclick="collapseAllCategories(false)" title="Expand all sections">Expand all</button>
-            </div>`;
-        }
-
-        html += `<div class="search-box">
-                <input type="text" class="search-input" id="searchInput"
-                       placeholder="Search variables..." oninput="applyFilters()">
-            </div>
-            <div class="table-scroll-wrapper">
-                <table id="dataTable">
-                    <thead>
-                        <tr>
-                            <th class="cb-col">
-                                <input type="checkbox" class="var-checkbox" id="selectAllCb"
-                                       onclick="selectAllRows(this.checked)" title="Select / deselect all">
-                            </th>`;
-
-        for (const col of columns) {
-            const def = this.columnManager.getColumnDefinition(col);
-            html += `<th class="col-${col}">${def.display}</th>`;
-        }
+    async saveWorkbook(workbook, fileName) {
+        const buffer = await workbook.xlsx.writeBuffer();
+        const blob = new Blob([buffer], {
+            type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        });
+        saveAs(blob, fileName);
+    }
+}
 
-        html += `</tr></thead><tbody>`;
-
-        let lastCategory = null;
-        let lastArrayParent = null;
-        for (const prop of data.properties) {
-            // Category header row
-            if (hasCategories && prop.category && prop.category !== lastCategory) {
-                const catKey = this.escapeHtml(prop.category);
-                html += `<tr class="category-row" data-cat="${catKey}">
-                    <td class="cb-col">
-                        <input type="checkbox" class="var-checkbox"
-                               onclick="selectSection('${catKey}', this.checked)"
-                               title="Select all in this section">
-                    </td>
-                    <td colspan="${columns.length}">
-                        <span class="category-toggle" onclick="toggleCategory('${catKey}')">▼</span>
-                        ${prop.category}
-                    </td>
-                </tr>`;
-                lastCategory = prop.category;
-                lastArrayParent = null; // reset sub-header when category changes
-            }
+/**
+ * Saved workspaces in IndexedDB: { id, name, updatedAt, bundle } records, where bundle
+ * holds the schema texts and view state. Everything stays in this browser.
+ */
+class WorkspaceStore {
+    constructor(dbName = 'render-tabular-json-schema', storeName = 'workspaces') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.db = null;
+    }
 
-            // Array items sub-header — visual grouping within the same category section
-            const curArrayParent = prop.arrayParent || null;
-            if (curArrayParent !== lastArrayParent) {
-                lastArrayParent = curArrayParent;
-                if (curArrayParent) {
-                    const catAttrStr = prop.category ? ` data-cat="${this.escapeHtml(prop.category)}"` : '';
-                    html += `<tr class="array-subheader-row"${catAttrStr}>
-                        <td class="cb-col"></td>
-                        <td colspan="${columns.length}" class="array-subheader-cell">&#x21B3; ${this.escapeHtml(curArrayParent)} — array items</td>
-                    </tr>`;
+    /**
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available in this browser'));
+                    return;
                 }
-            }
-
-            const varName = this.escapeHtml(prop.name);
-            const catAttr = prop.category ? ` data-cat="${this.escapeHtml(prop.category)}"` : '';
-            const isChecked = window.selectedVars?.has(prop.name) ? ' checked' : '';
-
-            html += `<tr class="data-row"${catAttr} data-varname="${varName}">
-                <td class="cb-col">
-                    <input type="checkbox" class="var-checkbox"${isChecked}
-                           onclick="toggleRowSelection('${varName}', this.checked)">
-                </td>`;
-
-            for (const col of columns) {
-                const cellValue = this.formatCellValue(col, prop, prop.schema);
-                html += `<td class="cell-${col}">${cellValue}</td>`;
-            }
-
-            html += `</tr>`;
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
         }
-
-        html += `</tbody></table></div></div>`;
-        return html;
+        return this.db;
     }
 
-    exportToCSV(data, selectedColumns = null) {
-        if (!data) return '';
-
-        const columns = selectedColumns || this.columnManager.getSelectedColumns();
-        const headers = ['Category'];
-
-        // Add headers for selected columns
-        for (const col of columns) {
-            const def = this.columnManager.getColumnDefinition(col);
-            headers.push(def.display);
-        }
-
-        const rows = [headers];
-
-        let currentCategory = '';
-        for (const prop of data.properties) {
-            if (prop.category && prop.category !== currentCategory) {
-                currentCategory = prop.category;
-            }
-
-            const row = [currentCategory || ''];
-
-            // Add values for selected columns
-            for (const col of columns) {
-                let value = '';
-
-                switch (col) {
-                    case 'name':
-                        value = prop.name;
-                        break;
-                    case 'description':
-                        value = prop.schema.description || '';
-                        break;
-                    case 'type':
-                        value = this.formatType(prop.schema);
-                        break;
-                    case 'enum':
-                        value = prop.schema.const !== undefined ?
-                            String(prop.schema.const) :
-                            this.formatEnumForExport(prop.schema, 'csv');
-                        break;
-                    case 'format':
-                        if (prop.schema.format) {
-                            const formatInfo = this.getFormatDescription(prop.schema.format);
-                            if (formatInfo) {
-                                value = `${prop.schema.format} - ${formatInfo.description} (e.g., ${formatInfo.example})`;
-                            } else {
-                                value = `${prop.schema.format} (custom)`;
-                            }
-                        }
-                        break;
-                    case 'constraints':
-                        value = this.formatConstraintsColumn(prop, prop.schema).join('\n');
-                        break;
-                    case 'additionalInfo':
-                        value = this.formatAdditionalInfoForExport(prop, prop.schema);
-                        break;
-                    default:
-                        if (prop.schema[col] !== undefined) {
-                            value = JSON.stringify(prop.schema[col]);
-                        }
-                }
-
-                row.push(value);
-            }
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
 
-            rows.push(row);
-        }
+    /**
+     * @returns {Promise<Object[]>} Workspaces, most recently saved first
+     */
+    async list() {
+        const workspaces = await this.request('readonly', store => store.getAll());
+        return workspaces.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
 
-        // Format for Excel with proper escaping
-        return rows.map(row =>
-            row.map(cell => {
-                const cellStr = String(cell).replace(/"/g, '""');
-                // Always quote cells that contain newlines, commas, or quotes
-                if (cellStr.includes('\n') || cellStr.includes(',') || cellStr.includes('"')) {
-                    return `"${cellStr}"`;
-                }
-                return cellStr;
-            }).join(',')
-        ).join('\n');
+    get(id) {
+        return this.request('readonly', store => store.get(id));
     }
 
     /**
-     * Apply borders to a cell based on its position
-     * @param {Object} cell - ExcelJS cell object
-     * @param {number} rowIndex - Row index (1-based)
+     * Insert or update a workspace, stamping updatedAt
+     * @returns {Promise<number>} The workspace id
      */
-    applyCellBorder(cell, rowIndex) {
-        if (rowIndex === 1) {
-            // Title row - thick border
-            cell.border = {
-                top: { style: 'medium', color: { argb: 'FF34495E' } },
-                left: { style: 'medium', color: { argb: 'FF34495E' } },
-                bottom: { style: 'medium', color: { argb: 'FF34495E' } },
-                right: { style: 'medium', color: { argb: 'FF34495E' } }
-            };
-        } else if (rowIndex === 2) {
-            // Header row - medium border
-            cell.border = {
-                top: { style: 'medium', color: { argb: 'FF34495E' } },
-                left: { style: 'thin', color: { argb: 'FF95A5A6' } },
-                bottom: { style: 'medium', color: { argb: 'FF34495E' } },
-                right: { style: 'thin', color: { argb: 'FF95A5A6' } }
-            };
-        } else {
-            // Data rows - thin border
-            cell.border = {
-                top: { style: 'thin', color: { argb: 'FFD5DBDB' } },
-                left: { style: 'thin', color: { argb: 'FFD5DBDB' } },
-                bottom: { style: 'thin', color: { argb: 'FFD5DBDB' } },
-                right: { style: 'thin', color: { argb: 'FFD5DBDB' } }
-            };
-        }
+    put(workspace) {
+        return this.request('readwrite', store => store.put({ ...workspace, updatedAt: Date.now() }));
     }
 
-    async exportToExcel(data, selectedColumns = null) {
-        if (!data) return;
-
-        const columns = selectedColumns || this.columnManager.getSelectedColumns();
-
-        // Create a new workbook
-        const workbook = new ExcelJS.Workbook();
-        workbook.creator = 'JSON Schema to Data Dictionary';
-        workbook.created = new Date();
-
-        // Add a worksheet
-        const worksheet = workbook.addWorksheet(data.title || 'Data Dictionary', {
-            properties: {
-                defaultRowHeight: 18,
-            },
-            views: [
-                {
-                    state: 'frozen',
-                    ySplit: 2,  // Freeze first 2 rows (title and headers)
-                    activeCell: 'A3'
-                }
-            ]
-        });
+    delete(id) {
+        return this.request('readwrite', store => store.delete(id));
+    }
 
-        // Add title row
-        worksheet.mergeCells(`A1:${String.fromCharCode(65 + columns.length)}1`);
-        const titleCell = worksheet.getCell('A1');
-        titleCell.value = data.title || 'Data Dictionary';
-        titleCell.font = { name: 'Arial', size: 16, bold: true, color: { argb: 'FF2C3E50' } };
-        titleCell.alignment = { vertical: 'middle', horizontal: 'center' };
-        titleCell.fill = {
-            type: 'pattern',
-            pattern: 'solid',
-            fgColor: { argb: 'FFE8F4FD' }
-        };
-        worksheet.getRow(1).height = 30;
+    async rename(id, name) {
+        const workspace = await this.get(id);
+        if (!workspace) return;
+        await this.request('readwrite', store => store.put({ ...workspace, name }));
+    }
+}
 
-        // Add headers
-        const headers = ['Category'];
-        for (const col of columns) {
-            const def = this.columnManager.getColumnDefinition(col);
-            headers.push(def.display);
-        }
-
-        worksheet.addRow(headers);
-        const headerRow = worksheet.getRow(2);
-        headerRow.font = { name: 'Arial', size: 12, bold: true, color: { argb: 'FFFFFFFF' } };
-        headerRow.fill = {
-            type: 'pattern',
-            pattern: 'solid',
-            fgColor: { argb: 'FF34495E' }
-        };
-        headerRow.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
-        headerRow.height = 25;
-
-        // Add filters
-        worksheet.autoFilter = {
-            from: { row: 2, column: 1 },
-            to: { row: 2, column: headers.length }
-        };
-
-        // Process data rows
-        let currentCategory = '';
-        let rowIndex = 3;
-        const hasCategories = data.properties.some(p => p.category);
-
-        for (const prop of data.properties) {
-            // Add category row if changed
-            if (hasCategories && prop.category && prop.category !== currentCategory) {
-                currentCategory = prop.category;
-                worksheet.addRow([currentCategory]);
-                const categoryRow = worksheet.getRow(rowIndex);
-                worksheet.mergeCells(`A${rowIndex}:${String.fromCharCode(65 + columns.length)}${rowIndex}`);
-                categoryRow.font = { name: 'Arial', size: 11, bold: true, color: { argb: 'FF2C3E50' } };
-                categoryRow.fill = {
-                    type: 'pattern',
-                    pattern: 'solid',
-                    fgColor: { argb: 'FFD5DBDB' }
-                };
-                categoryRow.alignment = { vertical: 'middle', horizontal: 'left' };
-                categoryRow.height = 22;
-                rowIndex++;
-            }
-
-            const rowData = [currentCategory || ''];
-
-            // Add values for selected columns
-            for (const col of columns) {
-                let value = '';
-
-                switch (col) {
-                    case 'name':
-                        value = prop.name;
-                        break;
-                    case 'description':
-                        value = prop.schema.description || '';
-                        break;
-                    case 'type':
-                        value = this.formatType(prop.schema);
-                        break;
-                    case 'enum':
-                        value = prop.schema.const !== undefined ?
-                            String(prop.schema.const) :
-                            this.formatEnumForExport(prop.schema, 'excel');
-                        break;
-                    case 'format':
-                        if (prop.schema.format) {
-                            const formatInfo = this.getFormatDescription(prop.schema.format);
-                            if (formatInfo) {
-                                value = `${prop.schema.format}\n${formatInfo.description}\nExample: ${formatInfo.example}`;
-                            } else {
-                                value = `${prop.schema.format} (custom)`;
-                            }
-                        }
-                        break;
-                    case 'constraints':
-                        value = this.formatConstraintsColumn(prop, prop.schema).join('\n');
-                        break;
-                    case 'additionalInfo':
-                        value = this.formatAdditionalInfoForExport(prop, prop.schema);
-                        break;
-                    default:
-                        if (prop.schema[col] !== undefined) {
-                            value = typeof prop.schema[col] === 'object' ?
-                                JSON.stringify(prop.schema[col], null, 2) :
-                                String(prop.schema[col]);
-                        }
-                }
-
-                rowData.push(value);
-            }
-
-            worksheet.addRow(rowData);
-            const dataRow = worksheet.getRow(rowIndex);
-
-            // Style data row
-            dataRow.font = { name: 'Arial', size: 10 };
-            dataRow.alignment = { vertical: 'top', wrapText: true };
-
-            // Alternate row colors
-            if ((rowIndex - 3) % 2 === 0) {
-                dataRow.fill = {
-                    type: 'pattern',
-                    pattern: 'solid',
-                    fgColor: { argb: 'FFF8F9FA' }
-                };
-            }
-
-            // Highlight required fields with bold (no red color)
-            if (prop.required) {
-                const nameCell = dataRow.getCell(columns.indexOf('name') + 2);
-                nameCell.font = {
-                    name: 'Arial',
-                    size: 10,
-                    bold: true
-                };
-            }
-
-            // Set specific cell styles
-            const typeCell = dataRow.getCell(columns.indexOf('type') + 2);
-            if (typeCell.value) {
-                typeCell.font = {
-                    name: 'Consolas',
-                    size: 10,
-                    color: { argb: 'FF1976D2' }
-                };
-            }
-
-            rowIndex++;
-        }
-
-        // Auto-fit columns with max width
-        const maxWidthMap = {
-            'description': 50,
-            'enum': 35,
-            'constraints': 30,
-            'additionalInfo': 35
-        };
-        const defaultMaxWidth = 40;
-        const categoryMaxWidth = 20;
-        const minWidth = 10;
-
-        worksheet.columns.forEach((column, index) => {
-            let maxLength = 0;
-            const columnLetter = String.fromCharCode(65 + index);
-
-            // Check header length
-            maxLength = Math.max(maxLength, headers[index]?.length || 0);
-
-            // Check all data in the column
-            for (let i = 3; i <= worksheet.rowCount; i++) {
-                const cell = worksheet.getCell(`${columnLetter}${i}`);
-                const cellValue = String(cell.value || '');
-                // For multi-line content, check the longest line
-                const lines = cellValue.split('\n');
-                const longestLine = Math.max(...lines.map(line => line.length));
-                maxLength = Math.max(maxLength, longestLine);
-            }
-
-            // Determine max width based on column type
-            let maxWidth;
-            if (index === 0) {
-                maxWidth = categoryMaxWidth;
-            } else {
-                const columnKey = columns[index - 1];
-                maxWidth = maxWidthMap[columnKey] || defaultMaxWidth;
-            }
-
-            column.width = Math.min(Math.max(maxLength + 2, minWidth), maxWidth);
-        });
-
-        // Add borders to all cells
-        for (let i = 1; i <= worksheet.rowCount; i++) {
-            for (let j = 1; j <= headers.length; j++) {
-                const cell = worksheet.getRow(i).getCell(j);
-                this.applyCellBorder(cell, i);
-            }
-        }
-
-        // Set page setup for printing
-        worksheet.pageSetup = {
-            orientation: 'landscape',
-            fitToPage: true,
-            fitToWidth: 1,
-            fitToHeight: 0,
-            margins: {
-                left: 0.7,
-                right: 0.7,
-                top: 0.75,
-                bottom: 0.75,
-                header: 0.3,
-                footer: 0.3
-            }
-        };
-
-        // Generate Excel file
-        const buffer = await workbook.xlsx.writeBuffer();
-        const blob = new Blob([buffer], {
-            type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-        });
-
-        // Download file
-        saveAs(blob, `${data.title || 'data_dictionary'}.xlsx`);
-    }
-
-}
-
-// Global functions for event handlers
-window.toggleEnum = function(id) {
-    const element = document.getElementById(id);
-    element.classList.toggle('show');
-};
+// Global functions for event handlers
+window.toggleEnum = function(id) {
+    const element = document.getElementById(id);
+    element.classList.toggle('show');
+};
 
 window.toggleAdditional = function(id) {
     const element = document.getElementById(id);
@@ -1615,23 +588,24 @@ window.toggleCategory = function(cat) {
 
 // ── Variable selector ──────────────────────────────────────────────────────
 
-// Initialise persistent selection store
+// Initialise persistent selection store: row keys (prop.key), so a variable name that
+// appears in several sections or array-item tables is only selected where it was ticked
 if (!window.selectedVars) window.selectedVars = new Set();
 
-window.toggleRowSelection = function(varName, checked) {
-    if (checked) window.selectedVars.add(varName);
-    else         window.selectedVars.delete(varName);
+window.toggleRowSelection = function(key, checked) {
+    if (checked) window.selectedVars.add(key);
+    else         window.selectedVars.delete(key);
     updateSelectionUI();
 };
 
 window.selectAllRows = function(checked) {
     document.querySelectorAll('#dataTable tbody .data-row').forEach(row => {
-        const varName = row.dataset.varname;
+        const key = row.dataset.key;
         const cb = row.querySelector('.var-checkbox');
         if (cb) cb.checked = checked;
-        if (varName) {
-            if (checked) window.selectedVars.add(varName);
-            else         window.selectedVars.delete(varName);
+        if (key) {
+            if (checked) window.selectedVars.add(key);
+            else         window.selectedVars.delete(key);
         }
     });
     updateSelectionUI();
@@ -1639,25 +613,31 @@ window.selectAllRows = function(checked) {
 
 window.selectSection = function(cat, checked) {
     document.querySelectorAll(`#dataTable tbody .data-row[data-cat="${CSS.escape(cat)}"]`).forEach(row => {
-        const varName = row.dataset.varname;
+        const key = row.dataset.key;
         const cb = row.querySelector('.var-checkbox');
         if (cb) cb.checked = checked;
-        if (varName) {
-            if (checked) window.selectedVars.add(varName);
-            else         window.selectedVars.delete(varName);
+        if (key) {
+            if (checked) window.selectedVars.add(key);
+            else         window.selectedVars.delete(key);
         }
     });
     updateSelectionUI();
 };
 
+// Currently chosen export format (key of TableRenderer.EXPORT_FORMATS)
+function getExportFormat() {
+    return document.getElementById('exportFormat')?.value || 'excel';
+}
+
 function updateSelectionUI() {
     const n = window.selectedVars?.size || 0;
+    const label = TableRenderer.EXPORT_FORMATS[getExportFormat()].label;
     const exportBtn = document.getElementById('exportSelectedBtn');
     if (exportBtn) {
         exportBtn.disabled     = n === 0;
         exportBtn.textContent  = n > 0
-            ? `Export Selected (${n}) to Excel`
-            : 'Export Selected to Excel';
+            ? `Export Selected (${n}) to ${label}`
+            : `Export Selected to ${label}`;
     }
 }
 
@@ -1669,14 +649,56 @@ window.exportSelected = async function() {
         const filtered = {
             title:       window.currentData.title + ' (selection)',
             description: window.currentData.description,
-            properties:  window.currentData.properties.filter(p => window.selectedVars.has(p.name))
+            properties:  window.currentData.properties.filter(p => window.selectedVars.has(p.key))
         };
-        await window.renderer.exportToExcel(filtered);
+        await window.renderer.exportAs(getExportFormat(), filtered);
     } finally {
-        if (btn) { btn.textContent = 'Export Selected to Excel'; btn.disabled = false; }
+        updateSelectionUI();
     }
 };
 
+window.exportDiff = async function() {
+    if (!window.currentDiff) return;
+    try {
+        await window.renderer.exportDiffToExcel(window.currentDiff);
+    } catch (error) {
+        console.error('Error generating change log:', error);
+        alert('An error occurred while generating the change log. Please try again.');
+    }
+};
+
+window.exportQuality = async function() {
+    if (!window.qualityReport || !window.currentData) return;
+    try {
+        await window.renderer.exportQualityToExcel(window.qualityReport, window.currentData);
+    } catch (error) {
+        console.error('Error generating quality report:', error);
+        alert('An error occurred while generating the quality report. Please try again.');
+    }
+};
+
+// Scroll to a variable's row from the quality panel, clearing the search, category
+// filter or collapsed section that hides it
+window.showTableRow = function(key) {
+    const row = document.querySelector(`#dataTable tbody .data-row[data-key="${CSS.escape(key)}"]`);
+    if (!row) return;
+
+    if (row.style.display === 'none') {
+        const searchInput = document.getElementById('searchInput');
+        if (searchInput) searchInput.value = '';
+        const categoryFilter = document.getElementById('categoryFilter');
+        if (categoryFilter) categoryFilter.value = 'ALL';
+        const cat = row.dataset.cat;
+        if (cat) document.querySelector(`.category-row[data-cat="${CSS.escape(cat)}"]`)?.classList.remove('collapsed');
+        applyFilters();
+    }
+
+    row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    row.classList.remove('row-highlight');
+    void row.offsetWidth; // restart the animation when the same row is picked twice
+    row.classList.add('row-highlight');
+};
+
 // Collapse / expand all category sections at once
 window.collapseAllCategories = function(collapse) {
     document.querySelectorAll('#dataTable tbody .category-row').forEach(row => {
@@ -1688,40 +710,97 @@ window.collapseAllCategories = function(collapse) {
 
 // Initialize
 const processor = new SchemaProcessor();
-const columnManager = new ColumnManager();
-const renderer = new TableRenderer(columnManager);
+const columnManager = new ColumnSelector();
+const renderer = new BrowserTableRenderer(columnManager);
 
 // Make components globally accessible for event handlers
 window.renderer = renderer;
 window.currentData = null;
+window.qualityReport = null;
 
 document.addEventListener('DOMContentLoaded', () => {
 
-    // Tracks schemas loaded from URLs: { text, name, url }[]
-    let pendingURLSchemas = [];
+    // The loaded schemas, in the order processFiles registers them (and so the order of the
+    // table's sections): { text, name, url, referencedBy?, from? }[]. url is null for chosen
+    // files (from: 'file'), files read from a folder or .zip archive (from names it; name is the
+    // path inside it) and schemas restored from a link fragment or bundle file. Schemas fetched
+    // because another one $refs them have referencedBy (that schema's url or name) and follow it.
+    let schemaSources = [];
+
+    // Files found in a dropped or picked folder or .zip archive, waiting for the user to untick
+    // any to leave out: { source, files: [{ path, text, checked, note, invalid }] }
+    let discoveredSchemas = null;
+
+    // Compare mode: the "before" schema set, captured from the same inputs: { text, name }[]
+    let beforeSchemas = null;
 
     function updateActionButtons() {
-        const hasFiles = document.getElementById('fileInput').files.length > 0;
-        const hasURLs  = pendingURLSchemas.length > 0;
-        const show = hasFiles || hasURLs;
+        const show = schemaSources.length > 0;
         document.getElementById('processBtn').style.display  = show ? 'inline-block' : 'none';
         document.getElementById('clearBtn').style.display    = show ? 'inline-block' : 'none';
-        document.getElementById('copyLinkBtn').style.display = hasURLs ? 'inline-block' : 'none';
+        document.getElementById('copyLinkBtn').style.display = show ? 'inline-block' : 'none';
+        document.getElementById('compareBar').style.display  = show || beforeSchemas ? 'flex' : 'none';
+        document.getElementById('setBeforeBtn').style.display = show ? 'inline-block' : 'none';
+        document.getElementById('compareBtn').style.display  = show && beforeSchemas ? 'inline-block' : 'none';
     }
 
-    function renderUrlList() {
-        const urlList = document.getElementById('urlList');
-        if (pendingURLSchemas.length === 0) { urlList.innerHTML = ''; return; }
-        urlList.innerHTML = pendingURLSchemas.map((s, i) =>
-            `<div class="url-item" draggable="true" data-idx="${i}">
+    // Current schemas as { text, name, url, referencedBy }[], for processFiles
+    function collectSchemaSources() {
+        return schemaSources.map(({ text, name, url, referencedBy }) => ({ text, name, url, referencedBy }));
+    }
+
+    // Nesting level of each list entry: 0 for added URLs, 1 for the schemas they $ref, ...
+    function referenceDepths() {
+        const depths = new Map();
+        return schemaSources.map(entry => {
+            const depth = entry.referencedBy ? (depths.get(entry.referencedBy) ?? -1) + 1 : 0;
+            depths.set(entry.url || entry.name, depth);
+            return depth;
+        });
+    }
+
+    // End (exclusive) of an entry and the referenced schemas nested under it
+    function subtreeEnd(index, depths) {
+        let end = index + 1;
+        while (end < depths.length && depths[end] > depths[index]) end++;
+        return end;
+    }
+
+    // Where a list entry came from, for its tooltip
+    function describeSource(s) {
+        if (s.url) return s.url;
+        if (s.from === 'file') return 'Chosen file';
+        return s.from ? `From ${s.from}` : 'Embedded in a link or bundle';
+    }
+
+    function renderSourceList() {
+        const sourceList = document.getElementById('sourceList');
+        const count = schemaSources.length;
+        document.getElementById('fileInfo').textContent = count === 0 ? 'No files selected' :
+            `${count} schema${count === 1 ? '' : 's'} in the list below`;
+        if (count === 0) { sourceList.innerHTML = ''; return; }
+
+        const depths = referenceDepths();
+        const replaceButton = (s, i) => `<button class="url-item-replace" data-idx="${i}"
+                title="${s.url ? 'Reload from its URL' : 'Replace with another file'}">↻</button>`;
+        sourceList.innerHTML = schemaSources.map((s, i) => depths[i] === 0
+            ? `<div class="url-item" draggable="true" data-idx="${i}">
                 <span class="url-item-drag" title="Drag to reorder">⠿</span>
-                <span class="url-item-name" title="${s.url}">${s.name}</span>
+                <span class="url-item-name" title="${renderer.escapeHtml(describeSource(s))}">${renderer.escapeHtml(s.name)}</span>
+                ${replaceButton(s, i)}
+                <button class="url-item-remove" data-idx="${i}" title="Remove">×</button>
+            </div>`
+            : `<div class="url-item url-item-reference" data-idx="${i}" style="margin-left:${depths[i] * 20}px;">
+                <span class="url-item-drag">↳</span>
+                <span class="url-item-name" title="${renderer.escapeHtml(describeSource(s))} — loaded because ${renderer.escapeHtml(s.referencedBy.split('/').pop())} refers to it">${renderer.escapeHtml(s.name)}</span>
+                ${replaceButton(s, i)}
                 <button class="url-item-remove" data-idx="${i}" title="Remove">×</button>
             </div>`
         ).join('');
 
+        // Entries move and are removed together with the schemas nested under them
         let dragIdx = null;
-        urlList.querySelectorAll('.url-item').forEach(item => {
+        sourceList.querySelectorAll('.url-item').forEach(item => {
             item.addEventListener('dragstart', (e) => {
                 dragIdx = +item.dataset.idx;
                 item.classList.add('dragging');
@@ -1729,34 +808,132 @@ document.addEventListener('DOMContentLoaded', () => {
             });
             item.addEventListener('dragend', () => {
                 item.classList.remove('dragging');
-                urlList.querySelectorAll('.url-item').forEach(el => el.classList.remove('drag-over'));
+                sourceList.querySelectorAll('.url-item').forEach(el => el.classList.remove('drag-over'));
             });
             item.addEventListener('dragover', (e) => {
                 e.preventDefault();
                 e.dataTransfer.dropEffect = 'move';
-                urlList.querySelectorAll('.url-item').forEach(el => el.classList.remove('drag-over'));
+                sourceList.querySelectorAll('.url-item').forEach(el => el.classList.remove('drag-over'));
                 item.classList.add('drag-over');
             });
             item.addEventListener('drop', (e) => {
                 e.preventDefault();
-                const dropIdx = +item.dataset.idx;
+                let dropIdx = +item.dataset.idx;
+                while (depths[dropIdx] > 0) dropIdx--; // a nested entry stands for its top-level schema
                 if (dragIdx === null || dragIdx === dropIdx) return;
-                const [moved] = pendingURLSchemas.splice(dragIdx, 1);
-                pendingURLSchemas.splice(dropIdx, 0, moved);
-                renderUrlList();
+                const moved = schemaSources.splice(dragIdx, subtreeEnd(dragIdx, depths) - dragIdx);
+                // Moving down lands after the target's nested entries, as a single entry would
+                const at = dropIdx < dragIdx ? dropIdx : subtreeEnd(dropIdx, depths) - moved.length;
+                schemaSources.splice(at, 0, ...moved);
+                renderSourceList();
             });
         });
 
-        urlList.querySelectorAll('.url-item-remove').forEach(btn => {
+        sourceList.querySelectorAll('.url-item-remove').forEach(btn => {
             btn.addEventListener('click', () => {
-                pendingURLSchemas.splice(+btn.dataset.idx, 1);
-                renderUrlList();
+                const index = +btn.dataset.idx;
+                schemaSources.splice(index, subtreeEnd(index, depths) - index);
+                renderSourceList();
                 updateActionButtons();
             });
         });
+
+        // URL entries are fetched again; the others are replaced by a file chosen in their place
+        sourceList.querySelectorAll('.url-item-replace').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const index = +btn.dataset.idx;
+                if (schemaSources[index].url) {
+                    reloadSource(index);
+                } else {
+                    replaceIndex = index;
+                    document.getElementById('replaceInput').click();
+                }
+            });
+        });
+    }
+
+    // Schemas referenced by an added URL are fetched at most this many levels deep
+    const MAX_REF_DEPTH = 5;
+
+    // Fetch a schema and check that it is JSON
+    async function fetchSchemaText(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), 15000);
+        let res;
+        try {
+            res = await fetch(url, { signal: controller.signal });
+        } finally {
+            clearTimeout(timer);
+        }
+        if (!res.ok) throw new Error(`HTTP ${res.status} — ${res.statusText}`);
+        const text = await res.text();
+        JSON.parse(text); // validate JSON before accepting
+        return text;
+    }
+
+    const fetchErrorLabel = err => err.name === 'AbortError' ? 'Timed out (15 s)' : err.message;
+
+    // URLs and $ids of the listed schemas, to tell whether a $ref target is already loaded
+    function loadedAddresses() {
+        const addresses = new Set();
+        for (const entry of schemaSources) {
+            if (entry.url) addresses.add(entry.url);
+            const id = JSON.parse(entry.text).$id;
+            if (typeof id === 'string') addresses.add(SchemaProcessor.resolveURL(id, entry.url));
+        }
+        return addresses;
     }
 
-    // Fetch and register one or more URLs (split by newlines)
+    /**
+     * Fetch the schemas that an entry's external $refs point to and insert them after it,
+     * recursively, so that adding a dataset schema also brings its row and domain schemas
+     * @param {Object} entry - schemaSources entry
+     * @param {number} index - Position of the entry (or of its last nested entry so far)
+     * @param {number} depth - Nesting level of the entry
+     * @param {string[]} errors - Collects messages for targets that could not be fetched
+     * @returns {Promise<number>} Position of the last entry inserted
+     */
+    async function addReferencedSchemas(entry, index, depth, errors) {
+        if (depth >= MAX_REF_DEPTH) return index;
+        const schema = JSON.parse(entry.text);
+        const fileNames = new Set(schemaSources.filter(s => !s.url).map(s => s.name.split('/').pop()));
+
+        for (const ref of SchemaProcessor.externalRefs(schema)) {
+            // $id is the base for relative refs, but many $ids are identifiers rather than
+            // real addresses, so the URL the schema came from is tried as well
+            const idBase = typeof schema.$id === 'string' ? SchemaProcessor.resolveURL(schema.$id, entry.url) : null;
+            const candidates = [...new Set([idBase, entry.url]
+                .map(base => base && SchemaProcessor.resolveURL(ref, base))
+                .filter(url => url && /^https?:/i.test(url)))];
+            if (candidates.length === 0) continue;
+
+            // Already listed (which also stops reference cycles), or loaded from a file
+            const loaded = loadedAddresses();
+            if (candidates.some(url => loaded.has(url) || fileNames.has(url.split('/').pop()))) continue;
+
+            let dependency = null;
+            let lastError = null;
+            for (const url of candidates) {
+                try {
+                    const text = await fetchSchemaText(url);
+                    dependency = { text, name: url.split('/').pop() || 'schema.json', url, referencedBy: entry.url || entry.name };
+                    break;
+                } catch (err) {
+                    lastError = err;
+                }
+            }
+            if (!dependency) {
+                errors.push(`${ref} (referenced by ${entry.name}): ${fetchErrorLabel(lastError)}`);
+                continue;
+            }
+
+            schemaSources.splice(++index, 0, dependency);
+            index = await addReferencedSchemas(dependency, index, depth + 1, errors);
+        }
+        return index;
+    }
+
+    // Fetch and register one or more URLs (split by newlines), with the schemas they reference
     async function addURLs(rawText) {
         const urls = rawText.split(/[\r\n]+/).map(s => s.trim()).filter(Boolean);
         if (urls.length === 0) return;
@@ -1770,38 +947,73 @@ document.addEventListener('DOMContentLoaded', () => {
         const errors = [];
         for (const raw of urls) {
             const url = SchemaProcessor.normalizeGitHubURL(raw);
+            let entry;
             try {
-                const controller = new AbortController();
-                const timer = setTimeout(() => controller.abort(), 15000);
-                let res;
-                try {
-                    res = await fetch(url, { signal: controller.signal });
-                } finally {
-                    clearTimeout(timer);
-                }
-                if (!res.ok) throw new Error(`HTTP ${res.status} — ${res.statusText}`);
-                const text = await res.text();
-                JSON.parse(text); // validate JSON before accepting
+                const text = await fetchSchemaText(url);
                 const name = url.split('/').pop() || 'schema.json';
-                pendingURLSchemas.push({ text, name, url });
+                entry = { text, name, url };
             } catch (err) {
-                const label = err.name === 'AbortError' ? 'Timed out (15 s)' : err.message;
-                errors.push(`${raw.split('/').pop() || raw}: ${label}`);
+                errors.push(`${raw.split('/').pop() || raw}: ${fetchErrorLabel(err)}`);
+                continue;
             }
+            const index = schemaSources.push(entry) - 1;
+            await addReferencedSchemas(entry, index, 0, errors);
         }
 
         document.getElementById('urlInput').value = '';
-        renderUrlList();
+        renderSourceList();
         updateActionButtons();
 
         if (errors.length > 0) {
-            errorMessage.innerHTML = `<div class="error-message">Could not load: ${errors.join('<br>')}</div>`;
+            errorMessage.innerHTML = `<div class="error-message">Could not load: ${errors.map(e => renderer.escapeHtml(e)).join('<br>')}</div>`;
         }
 
         addUrlBtn.disabled = false;
         addUrlBtn.textContent = 'Add URL';
     }
 
+    // Fetch a URL entry again in its place, with fresh copies of the schemas it refers to
+    async function reloadSource(index) {
+        const entry = schemaSources[index];
+        const errors = [];
+        try {
+            const text = await fetchSchemaText(entry.url);
+            const depths = referenceDepths();
+            schemaSources.splice(index, subtreeEnd(index, depths) - index, { ...entry, text });
+            await addReferencedSchemas(schemaSources[index], index, depths[index], errors);
+        } catch (err) {
+            errors.push(`${entry.name}: ${fetchErrorLabel(err)}`);
+        }
+
+        renderSourceList();
+        updateActionButtons();
+        document.getElementById('errorMessage').innerHTML = errors.length > 0
+            ? `<div class="error-message">Could not load: ${errors.map(e => renderer.escapeHtml(e)).join('<br>')}</div>` : '';
+    }
+
+    // Replace a list entry with a chosen file in its place; schemas fetched for it go too
+    let replaceIndex = null;
+    document.getElementById('replaceInput').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file || replaceIndex === null) return;
+
+        const text = await file.text();
+        try {
+            JSON.parse(text);
+        } catch (err) {
+            document.getElementById('errorMessage').innerHTML =
+                `<div class="error-message">Could not load: ${renderer.escapeHtml(file.name)}: invalid JSON (${renderer.escapeHtml(err.message)})</div>`;
+            return;
+        }
+        const { referencedBy } = schemaSources[replaceIndex];
+        schemaSources.splice(replaceIndex, subtreeEnd(replaceIndex, referenceDepths()) - replaceIndex,
+            { text, name: file.name, url: null, from: 'file', ...(referencedBy && { referencedBy }) });
+        replaceIndex = null;
+        document.getElementById('errorMessage').innerHTML = '';
+        renderSourceList();
+    });
+
     // Add URL button
     document.getElementById('addUrlBtn').addEventListener('click', () => {
         const raw = document.getElementById('urlInput').value.trim();
@@ -1821,27 +1033,225 @@ document.addEventListener('DOMContentLoaded', () => {
         addURLs(pasted);
     });
 
-    document.getElementById('fileInput').addEventListener('change', async (e) => {
-        const files = Array.from(e.target.files);
-        const fileInfo = document.getElementById('fileInfo');
-        const errorMessage = document.getElementById('errorMessage');
+    // Folders and .zip archives — every .json file inside is listed for review first, named
+    // by its path so that relative $refs like "../common/codes.json" resolve between them
+    const SCHEMA_KEYWORDS = ['$schema', '$id', '$ref', '$defs', 'definitions', 'type', 'properties', 'items', 'allOf', 'oneOf', 'anyOf'];
+
+    // Hidden files and folders (.git, macOS resource forks) are never schemas
+    function isSchemaPath(path) {
+        const parts = path.split('/');
+        return /\.json$/i.test(path) && !parts.some(part => part.startsWith('.') || part === '__MACOSX');
+    }
+
+    // { path, text }[] for the .json files in .zip archives; unreadable archives are reported
+    async function readArchives(zips) {
+        const found = [];
+        for (const zip of zips) {
+            try {
+                const archive = await JSZip.loadAsync(zip);
+                const entries = Object.values(archive.files).filter(entry => !entry.dir && isSchemaPath(entry.name));
+                found.push(...await Promise.all(entries.map(async entry => ({ path: entry.name, text: await entry.async('string') }))));
+            } catch (err) {
+                document.getElementById('errorMessage').innerHTML =
+                    `<div class="error-message">Could not read ${renderer.escapeHtml(zip.name)}: ${renderer.escapeHtml(err.message)}</div>`;
+            }
+        }
+        return found;
+    }
+
+    // Files under a dropped folder (or the dropped file itself), with paths relative to the drop
+    async function readEntry(entry) {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            return [{ path: entry.fullPath.replace(/^\//, ''), file }];
+        }
+        const reader = entry.createReader();
+        const children = [];
+        // readEntries hands out a directory's contents in batches until it returns none
+        for (;;) {
+            const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            if (batch.length === 0) break;
+            children.push(...batch);
+        }
+        const found = [];
+        for (const child of children) found.push(...await readEntry(child));
+        return found;
+    }
+
+    // Show the files found in a folder or archive, ticked unless they are not schemas
+    function showDiscoveredSchemas(source, found) {
+        const listed = new Set(schemaSources.map(entry => entry.name));
+        const files = found
+            .sort((a, b) => a.path.localeCompare(b.path))
+            .map(({ path, text }) => {
+                let schema;
+                try {
+                    schema = JSON.parse(text);
+                } catch {
+                    return { path, text, checked: false, note: 'not valid JSON', invalid: true };
+                }
+                const note = listed.has(path) ? 'already added'
+                    : !schema || typeof schema !== 'object' || Array.isArray(schema) || !SCHEMA_KEYWORDS.some(key => key in schema)
+                        ? 'does not look like a schema' : '';
+                return { path, text, checked: !note, note, invalid: false };
+            });
+        discoveredSchemas = { source, files };
+        renderDiscoveredSchemas();
+    }
+
+    function renderDiscoveredSchemas() {
+        const container = document.getElementById('folderPreview');
+        if (!discoveredSchemas) { container.innerHTML = ''; return; }
+
+        const { source, files } = discoveredSchemas;
+        const count = files.filter(file => file.checked).length;
+        container.innerHTML = `<div class="folder-preview">
+            <div class="folder-preview-title">${renderer.escapeHtml(source)}
+                <span>${files.length} JSON file${files.length === 1 ? '' : 's'} found — untick any to leave out</span></div>
+            <div class="folder-preview-list">${files.map((file, i) => `
+                <label class="folder-preview-item">
+                    <input type="checkbox" data-idx="${i}"${file.checked ? ' checked' : ''}${file.invalid ? ' disabled' : ''}>
+                    <span>${renderer.escapeHtml(file.path)}</span>
+                    ${file.note ? `<span class="folder-preview-note">${file.note}</span>` : ''}
+                </label>`).join('')}
+            </div>
+            <div class="folder-preview-actions">
+                <button class="btn-outline" id="folderAddBtn"${count === 0 ? ' disabled' : ''}>Add ${count} file${count === 1 ? '' : 's'}</button>
+                <button class="btn-outline" id="folderCancelBtn">Cancel</button>
+            </div>
+        </div>`;
+    }
+
+    document.getElementById('folderPreview').addEventListener('change', (e) => {
+        if (!e.target.matches('input[type="checkbox"]')) return;
+        discoveredSchemas.files[+e.target.dataset.idx].checked = e.target.checked;
+        renderDiscoveredSchemas();
+    });
 
-        if (files.length === 0) {
-            fileInfo.textContent = 'No files selected';
+    document.getElementById('folderPreview').addEventListener('click', (e) => {
+        if (e.target.id === 'folderAddBtn') {
+            for (const file of discoveredSchemas.files.filter(f => f.checked)) {
+                schemaSources.push({ text: file.text, name: file.path, url: null, from: discoveredSchemas.source });
+            }
+            renderSourceList();
             updateActionButtons();
+        } else if (e.target.id !== 'folderCancelBtn') {
             return;
         }
+        discoveredSchemas = null;
+        renderDiscoveredSchemas();
+    });
 
-        fileInfo.textContent = files.length === 1 ?
-            files[0].name :
-            `${files.length} files selected`;
+    // Choose Folder — webkitRelativePath starts with the folder's own name
+    document.getElementById('folderInput').addEventListener('change', async (e) => {
+        const files = Array.from(e.target.files).filter(file => isSchemaPath(file.webkitRelativePath || file.name));
+        const source = (e.target.files[0]?.webkitRelativePath || '').split('/')[0] || 'Folder';
+        const found = await Promise.all(files.map(async file => ({ path: file.webkitRelativePath || file.name, text: await file.text() })));
+        e.target.value = '';
+        if (found.length === 0) {
+            document.getElementById('errorMessage').innerHTML =
+                `<div class="error-message">No .json files in ${renderer.escapeHtml(source)}</div>`;
+            return;
+        }
+        showDiscoveredSchemas(source, found);
+    });
 
-        errorMessage.innerHTML = '';
+    // Dropping onto the page: folders and .zip archives are previewed, loose files are
+    // added to the chosen files. Internal drags (columns, list entries) carry no files.
+    const uploadSection = document.querySelector('.upload-section');
+    const isFileDrag = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+    document.addEventListener('dragover', (e) => {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        uploadSection.classList.add('drop-target');
+    });
+    document.addEventListener('dragleave', (e) => {
+        if (!e.relatedTarget) uploadSection.classList.remove('drop-target');
+    });
+    document.addEventListener('drop', async (e) => {
+        if (!isFileDrag(e)) return;
+        e.preventDefault();
+        uploadSection.classList.remove('drop-target');
+
+        // The drop's items are only readable during the event, so take their entries first
+        const entries = Array.from(e.dataTransfer.items).map(item => item.webkitGetAsEntry?.()).filter(Boolean);
+        const folders = [];
+        const zips = [];
+        const looseFiles = [];
+        const found = [];
+        for (const entry of entries) {
+            if (entry.isDirectory) {
+                folders.push(entry.name);
+                for (const { path, file } of await readEntry(entry)) {
+                    if (isSchemaPath(path)) found.push({ path, text: await file.text() });
+                }
+            } else {
+                const [{ file }] = await readEntry(entry);
+                if (/\.zip$/i.test(file.name)) zips.push(file);
+                else if (/\.json$/i.test(file.name)) looseFiles.push(file);
+            }
+        }
+
+        if (looseFiles.length > 0) await addFiles(looseFiles);
+        found.push(...await readArchives(zips));
+        if (found.length > 0) showDiscoveredSchemas([...folders, ...zips.map(zip => zip.name)].join(', '), found);
+    });
+
+    /**
+     * Add chosen or dropped files to the end of the list. A file chosen again replaces its
+     * earlier copy in place. Bundle files restore their schemas and view instead, and .zip
+     * archives are opened for their schemas.
+     * @param {File[]} files
+     */
+    async function addFiles(files) {
+        const errorMessage = document.getElementById('errorMessage');
+        const bundles = [];
+        const zips = [];
+        const errors = [];
+        for (const file of files) {
+            if (/\.zip$/i.test(file.name)) {
+                zips.push(file);
+                continue;
+            }
+            const text = await file.text();
+            let value;
+            try {
+                value = JSON.parse(text);
+            } catch (err) {
+                errors.push(`${file.name}: invalid JSON (${err.message})`);
+                continue;
+            }
+            if (isBundle(value)) {
+                bundles.push(value);
+                continue;
+            }
+            const existing = schemaSources.findIndex(s => s.from === 'file' && s.name === file.name);
+            if (existing === -1) schemaSources.push({ text, name: file.name, url: null, from: 'file' });
+            else schemaSources[existing] = { ...schemaSources[existing], text };
+        }
+
+        errorMessage.innerHTML = errors.length > 0 ? `<div class="error-message">Could not load: ${errors.map(e => renderer.escapeHtml(e)).join('<br>')}</div>` : '';
+        renderSourceList();
         updateActionButtons();
+
+        const archived = await readArchives(zips);
+        if (archived.length > 0) showDiscoveredSchemas(zips.map(zip => zip.name).join(', '), archived);
+
+        for (const bundle of bundles) await loadBundle(bundle);
+    }
+
+    document.getElementById('fileInput').addEventListener('change', async (e) => {
+        const files = Array.from(e.target.files);
+        e.target.value = ''; // the list holds the files now, so the same file can be chosen again
+        await addFiles(files);
     });
 
-    document.getElementById('processBtn').addEventListener('click', async () => {
-        const files = Array.from(document.getElementById('fileInput').files);
+    /**
+     * Process the loaded schemas and render the table, column selector and export controls
+     * @returns {Promise<boolean>} True if the table was generated
+     */
+    async function generateTable() {
         const errorMessage = document.getElementById('errorMessage');
         const tableOutput = document.getElementById('tableOutput');
         const exportBtn = document.getElementById('exportBtn');
@@ -1851,16 +1261,24 @@ document.addEventListener('DOMContentLoaded', () => {
             tableOutput.innerHTML = '<div class="loading">Processing schemas...</div>';
             window.selectedVars = new Set(); // reset selection on fresh generate
 
-            const success = await processor.processFiles(files, pendingURLSchemas);
+            const success = await processor.processFiles([], schemaSources);
 
             if (!success) {
                 throw new Error('Could not identify main schema. Please ensure one schema has type: "array" with items.');
             }
 
             window.currentData = processor.getTableData();
+            window.currentDiff = null;
+            window.qualityReport = new SchemaLinter(processor).lint(window.currentData);
+            resetValidation();
+            resetImport();
 
             // Get keyword usage statistics
             const keywordStats = processor.getKeywordUsageStats();
+            const usedKeywords = new Set(keywordStats.map(stat => stat.keyword));
+            columnManager.selectedColumns = columnManager.selectedColumns.filter(col =>
+                Object.hasOwn(columnManager.columnDefinitions, col) ||
+                (usedKeywords.has(col) && !columnManager.consolidatedKeywords.has(col)));
 
             // Render column selector
             columnSelectorContainer.innerHTML = '';
@@ -1868,47 +1286,273 @@ document.addEventListener('DOMContentLoaded', () => {
             columnSelectorContainer.style.display = 'block';
 
             // Render table with default columns
+            document.getElementById('qualityPanel').innerHTML = renderer.renderQualityReport(window.qualityReport);
             tableOutput.innerHTML = renderer.render(currentData);
             exportBtn.style.display = 'inline-block';
+            document.getElementById('exportFormat').style.display = 'inline-block';
             document.getElementById('exportSelectedBtn').style.display = 'inline-block';
-            document.getElementById('copyLinkBtn').style.display =
-                pendingURLSchemas.length > 0 ? 'inline-block' : 'none';
+            document.getElementById('validationBar').style.display = 'flex';
+            document.getElementById('generatorBar').style.display = 'flex';
+            document.getElementById('copyLinkBtn').style.display = 'inline-block';
+            document.getElementById('downloadBundleBtn').style.display = 'inline-block';
+            document.getElementById('printBtn').style.display = 'inline-block';
+            document.getElementById('templateBtn').style.display = 'inline-block';
+            scheduleWorkspaceSave();
+            return true;
 
         } catch (error) {
-            errorMessage.innerHTML = `<div class="error-message">Error: ${error.message}</div>`;
+            errorMessage.innerHTML = `<div class="error-message">Error: ${renderer.escapeHtml(error.message)}</div>`;
             tableOutput.innerHTML = '';
             exportBtn.style.display = 'none';
+            document.getElementById('exportFormat').style.display = 'none';
             document.getElementById('exportSelectedBtn').style.display = 'none';
+            document.getElementById('validationBar').style.display = 'none';
+            document.getElementById('generatorBar').style.display = 'none';
+            document.getElementById('qualityPanel').innerHTML = '';
             document.getElementById('copyLinkBtn').style.display = 'none';
+            document.getElementById('downloadBundleBtn').style.display = 'none';
+            document.getElementById('printBtn').style.display = 'none';
+            document.getElementById('templateBtn').style.display = 'none';
             columnSelectorContainer.style.display = 'none';
+            return false;
+        }
+    }
+
+    document.getElementById('processBtn').addEventListener('click', generateTable);
+
+    // Shareable links carry the view as well as the schema URLs. Only what differs
+    // from a freshly generated table is stored, to keep links short.
+    function captureViewState() {
+        const state = {};
+
+        const columns = columnManager.getSelectedColumns().filter(col => col !== 'validation');
+        if (columns.join(',') !== columnManager.defaultColumnOrder.join(',')) state.columns = columns;
+
+        const category = document.getElementById('categoryFilter')?.value;
+        if (category && category !== 'ALL') state.category = category;
+
+        const search = document.getElementById('searchInput')?.value;
+        if (search) state.search = search;
+
+        const collapsed = Array.from(document.querySelectorAll('#dataTable tbody .category-row.collapsed'))
+            .map(row => row.dataset.cat);
+        if (collapsed.length > 0) state.collapsed = collapsed;
+
+        if (window.selectedVars.size > 0) state.selected = Array.from(window.selectedVars);
+
+        return state;
+    }
+
+    // Columns are restored before the table is generated, the rest afterwards
+    function applyViewColumns(state) {
+        if (!Array.isArray(state.columns)) return;
+        // Keyword columns can only be checked against the schema once it is processed,
+        // so generateTable drops any the loaded schema doesn't have
+        const columns = state.columns.filter(col => typeof col === 'string');
+        if (!columns.includes('name')) columns.unshift('name');
+        columnManager.setSelectedColumns(columns);
+    }
+
+    function applyViewState(state) {
+        if (Array.isArray(state.selected)) {
+            const keys = new Set(window.currentData.properties.map(p => p.key));
+            window.selectedVars = new Set(state.selected.filter(key => keys.has(key)));
+            document.getElementById('tableOutput').innerHTML = renderer.render(window.currentData);
+        }
+
+        const categoryFilter = document.getElementById('categoryFilter');
+        if (categoryFilter && typeof state.category === 'string' &&
+            Array.from(categoryFilter.options).some(option => option.value === state.category)) {
+            categoryFilter.value = state.category;
+        }
+
+        const searchInput = document.getElementById('searchInput');
+        if (searchInput && typeof state.search === 'string') searchInput.value = state.search;
+
+        if (Array.isArray(state.collapsed)) {
+            document.querySelectorAll('#dataTable tbody .category-row').forEach(row => {
+                if (state.collapsed.includes(row.dataset.cat)) row.classList.add('collapsed');
+            });
+        }
+
+        applyFilters();
+        updateSelectionUI();
+    }
+
+    // Bundles hold the schemas and the view in one object: downloaded as a file, or
+    // compressed into the #bundle= fragment of a shareable link (fragments never reach a server)
+    const BUNDLE_FORMAT = 'tabular-json-schema-bundle';
+
+    function isBundle(value) {
+        return value?.format === BUNDLE_FORMAT && Array.isArray(value.schemas);
+    }
+
+    /**
+     * @param {boolean} embedURLSchemas - Include the text of URL-loaded schemas, not just their URL
+     * @returns {Object}
+     */
+    function createBundle(embedURLSchemas) {
+        // Without their texts, referenced schemas are fetched again along with the schema that refs them
+        const schemas = schemaSources
+            .filter(({ url, referencedBy }) => embedURLSchemas || !url || !referencedBy)
+            .map(({ text, name, url, referencedBy }) => url && !embedURLSchemas ? { url } : {
+                name,
+                ...(url && { url }),
+                ...(referencedBy && { referencedBy }),
+                schema: JSON.parse(text)
+            });
+
+        const bundle = { format: BUNDLE_FORMAT, version: 1, schemas };
+        const view = captureViewState();
+        if (Object.keys(view).length > 0) bundle.view = view;
+        return bundle;
+    }
+
+    // Add a bundle's schemas to the source list (fetching those stored as URLs), then generate
+    async function loadBundle(bundle) {
+        for (const entry of bundle.schemas) {
+            if (entry.schema) {
+                schemaSources.push({
+                    text: JSON.stringify(entry.schema, null, 2),
+                    name: entry.name || 'schema.json',
+                    url: entry.url || null,
+                    ...(entry.referencedBy && { referencedBy: entry.referencedBy })
+                });
+            } else if (entry.url) {
+                await addURLs(entry.url);
+            }
+        }
+        renderSourceList();
+        updateActionButtons();
+
+        const view = bundle.view || {};
+        applyViewColumns(view);
+        if (await generateTable()) applyViewState(view);
+    }
+
+    // Workspaces — the current table is saved as a bundle shortly after every change, so a
+    // reload picks up where it left off and earlier dictionaries can be reopened
+    const MAX_WORKSPACES = 20;
+    const workspaceStore = new WorkspaceStore();
+    let currentWorkspaceId = null;
+    let workspaceSaveTimer = null;
+
+    function scheduleWorkspaceSave() {
+        if (!window.currentData) return;
+        clearTimeout(workspaceSaveTimer);
+        workspaceSaveTimer = setTimeout(saveWorkspace, 500);
+    }
+
+    async function saveWorkspace() {
+        if (!window.currentData) return;
+        try {
+            const workspace = { name: window.currentData.title, bundle: createBundle(true) };
+            const existing = currentWorkspaceId === null ? null : await workspaceStore.get(currentWorkspaceId);
+            if (existing) {
+                workspace.id = existing.id;
+                workspace.name = existing.name;
+            }
+            currentWorkspaceId = await workspaceStore.put(workspace);
+            await renderWorkspaceList();
+        } catch (error) {
+            console.warn('Could not save the workspace:', error);
+        }
+    }
+
+    async function renderWorkspaceList() {
+        const container = document.getElementById('recentWorkspaces');
+        let workspaces;
+        try {
+            workspaces = await workspaceStore.list();
+            for (const old of workspaces.splice(MAX_WORKSPACES)) await workspaceStore.delete(old.id);
+        } catch {
+            container.style.display = 'none';
+            return;
+        }
+
+        container.style.display = workspaces.length > 0 ? 'block' : 'none';
+        document.getElementById('workspaceList').innerHTML = workspaces.map(workspace => {
+            const count = workspace.bundle.schemas.length;
+            return `<div class="workspace-item${workspace.id === currentWorkspaceId ? ' current' : ''}" data-id="${workspace.id}">
+                <button class="workspace-open" title="Open this workspace">${renderer.escapeHtml(workspace.name)}</button>
+                <span class="workspace-meta">${count} schema${count === 1 ? '' : 's'} · ${new Date(workspace.updatedAt).toLocaleString()}</span>
+                <button class="workspace-rename url-item-remove" title="Rename">✎</button>
+                <button class="workspace-delete url-item-remove" title="Delete">×</button>
+            </div>`;
+        }).join('');
+    }
+
+    async function openWorkspace(id) {
+        const workspace = await workspaceStore.get(id);
+        if (!workspace) {
+            await renderWorkspaceList();
+            return;
+        }
+        document.getElementById('clearBtn').click();
+        currentWorkspaceId = id;
+        await loadBundle(workspace.bundle);
+    }
+
+    document.getElementById('workspaceList').addEventListener('click', async (e) => {
+        const item = e.target.closest('.workspace-item');
+        if (!item) return;
+        const id = +item.dataset.id;
+
+        try {
+            if (e.target.closest('.workspace-rename')) {
+                const name = prompt('Rename workspace:', item.querySelector('.workspace-open').textContent);
+                if (name?.trim()) await workspaceStore.rename(id, name.trim());
+            } else if (e.target.closest('.workspace-delete')) {
+                if (!confirm('Delete this saved workspace? The schema files themselves are not affected.')) return;
+                await workspaceStore.delete(id);
+                if (id === currentWorkspaceId) currentWorkspaceId = null;
+            } else if (e.target.closest('.workspace-open')) {
+                await openWorkspace(id);
+                return;
+            }
+        } catch (error) {
+            document.getElementById('errorMessage').innerHTML =
+                `<div class="error-message">Workspace error: ${renderer.escapeHtml(error.message)}</div>`;
         }
+        await renderWorkspaceList();
     });
 
+    // Column, selection, filter and collapse changes all happen inside these two containers
+    for (const id of ['tableOutput', 'columnSelectorContainer']) {
+        for (const type of ['click', 'change', 'input', 'drop']) {
+            document.getElementById(id).addEventListener(type, scheduleWorkspaceSave);
+        }
+    }
+
+    // Export format chooser — relabel both export buttons
+    function updateExportButtons() {
+        const label = TableRenderer.EXPORT_FORMATS[getExportFormat()].label;
+        document.getElementById('exportBtn').textContent = `Export All to ${label}`;
+        updateSelectionUI();
+    }
+
+    document.getElementById('exportFormat').addEventListener('change', updateExportButtons);
+
     document.getElementById('exportBtn').addEventListener('click', async () => {
         if (!currentData) return;
 
-        try {
-            const exportBtn = document.getElementById('exportBtn');
-            const originalText = exportBtn.textContent;
+        const format = getExportFormat();
+        const label = TableRenderer.EXPORT_FORMATS[format].label;
+        const exportBtn = document.getElementById('exportBtn');
 
+        try {
             // Show loading state
             exportBtn.disabled = true;
-            exportBtn.textContent = 'Generating Excel...';
+            exportBtn.textContent = `Generating ${label}...`;
 
-            // Generate Excel file
-            await renderer.exportToExcel(currentData, columnManager.getSelectedColumns());
-
-            // Restore button state
-            exportBtn.disabled = false;
-            exportBtn.textContent = originalText;
+            await renderer.exportAs(format, currentData, columnManager.getSelectedColumns());
         } catch (error) {
-            console.error('Error generating Excel file:', error);
-            alert('An error occurred while generating the Excel file. Please try again.');
-
+            console.error(`Error generating ${label} file:`, error);
+            alert(`An error occurred while generating the ${label} file. Please try again.`);
+        } finally {
             // Restore button state
-            const exportBtn = document.getElementById('exportBtn');
             exportBtn.disabled = false;
-            exportBtn.textContent = 'Export to Excel';
+            updateExportButtons();
         }
     });
 
@@ -1920,49 +1564,373 @@ document.addEventListener('DOMContentLoaded', () => {
         document.getElementById('columnSelectorContainer').style.display = 'none';
         document.getElementById('errorMessage').innerHTML = '';
 
-        // Reset file input
-        document.getElementById('fileInput').value = '';
-        document.getElementById('fileInfo').textContent = 'No files selected';
-
-        // Reset URL input
+        // Reset URL input and the source list
         document.getElementById('urlInput').value = '';
-        pendingURLSchemas = [];
-        renderUrlList();
+        schemaSources = [];
+        renderSourceList();
+        discoveredSchemas = null;
+        renderDiscoveredSchemas();
+        document.getElementById('folderInput').value = '';
 
         // Reset variable selection
         window.selectedVars = new Set();
         document.getElementById('exportSelectedBtn').style.display = 'none';
         document.getElementById('copyLinkBtn').style.display = 'none';
+        document.getElementById('downloadBundleBtn').style.display = 'none';
+        document.getElementById('printBtn').style.display = 'none';
+        document.getElementById('templateBtn').style.display = 'none';
 
         // Hide buttons
         document.getElementById('processBtn').style.display = 'none';
         document.getElementById('clearBtn').style.display = 'none';
         document.getElementById('exportBtn').style.display = 'none';
+        document.getElementById('exportFormat').style.display = 'none';
+        document.getElementById('validationBar').style.display = 'none';
+        document.getElementById('generatorBar').style.display = 'none';
+        document.getElementById('qualityPanel').innerHTML = '';
+        resetValidation();
 
         // Clear processor data
         processor.schemas.clear();
         processor.schemaList = [];
+        processor.dependencyList = [];
         processor.mainSchema = null;
         processor.keywordUsage.clear();
 
-        // Clear current data
+        // Clear current data (the "before" version is kept so a new version can be loaded to compare)
         window.currentData = null;
+        window.currentDiff = null;
+        window.qualityReport = null;
+        resetImport();
+        updateActionButtons();
+
+        // Later changes start a new saved workspace
+        clearTimeout(workspaceSaveTimer);
+        currentWorkspaceId = null;
+        renderWorkspaceList();
 
         // Reset column manager to defaults
         columnManager.selectedColumns = [...columnManager.defaultColumnOrder];
     });
 
+    // Data file validation — results for the current table, and the file they came from
+    let validationReport = null;
+    let validationFileName = '';
+
+    function resetValidation() {
+        validationReport = null;
+        validationFileName = '';
+        document.getElementById('dataFileInput').value = '';
+        document.getElementById('validationSummary').textContent =
+            'CSV, JSON or NDJSON — checked locally, nothing is uploaded';
+        document.getElementById('exportValidationBtn').style.display = 'none';
+        columnManager.validationAvailable = false;
+        columnManager.selectedColumns = columnManager.selectedColumns.filter(col => col !== 'validation');
+    }
+
+    document.getElementById('dataFileInput').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file || !window.currentData) return;
+
+        const summary = document.getElementById('validationSummary');
+        const errorMessage = document.getElementById('errorMessage');
+        summary.textContent = `Checking ${file.name}…`;
+        errorMessage.innerHTML = '';
+
+        try {
+            const { records, format } = DataValidator.parseDataFile(await file.text(), file.name);
+            const report = new DataValidator().validate(window.currentData, records, {
+                coerceStrings: format === 'csv' || format === 'tsv'
+            });
+
+            for (const prop of window.currentData.properties) {
+                prop.validation = report.byProp.get(prop);
+            }
+            validationReport = report;
+            validationFileName = file.name;
+
+            // Show the results in the Data Check column
+            columnManager.validationAvailable = true;
+            if (!columnManager.selectedColumns.includes('validation')) {
+                columnManager.selectedColumns.push('validation');
+            }
+            const selector = document.querySelector('.column-selector-container');
+            if (selector) {
+                columnManager.refreshColumnList(selector);
+                columnManager.updateTable(selector);
+            }
+
+            const { invalid, missing, variablesWithErrors } = report.totals;
+            summary.innerHTML = invalid + missing === 0
+                ? `<strong>${renderer.escapeHtml(file.name)}</strong>: all ${report.recordCount} records conform ✓`
+                : `<strong>${renderer.escapeHtml(file.name)}</strong>: ${report.recordCount} records — ` +
+                  `${invalid} invalid values and ${missing} missing required values in ${variablesWithErrors} variables`;
+            document.getElementById('exportValidationBtn').style.display =
+                report.errors.length > 0 ? 'inline-block' : 'none';
+        } catch (error) {
+            summary.textContent = '';
+            errorMessage.innerHTML = `<div class="error-message">Could not check ${renderer.escapeHtml(file.name)}: ${renderer.escapeHtml(error.message)}</div>`;
+        } finally {
+            // Allow the same file to be picked again after it has been edited
+            e.target.value = '';
+        }
+    });
+
+    document.getElementById('exportValidationBtn').addEventListener('click', async () => {
+        if (!validationReport || !window.currentData) return;
+        const btn = document.getElementById('exportValidationBtn');
+        btn.disabled = true;
+        try {
+            await renderer.exportValidationToExcel(validationReport, window.currentData, validationFileName);
+        } catch (error) {
+            console.error('Error generating validation report:', error);
+            alert('An error occurred while generating the validation report. Please try again.');
+        } finally {
+            btn.disabled = false;
+        }
+    });
+
+    // Compare mode — remember the loaded schemas as the old version
+    document.getElementById('setBeforeBtn').addEventListener('click', () => {
+        beforeSchemas = collectSchemaSources();
+        document.getElementById('compareInfo').textContent =
+            `“Before” version: ${beforeSchemas.map(s => s.name).join(', ')}. Load the new version and click Compare.`;
+        document.getElementById('errorMessage').innerHTML = '';
+        updateActionButtons();
+    });
+
+    // Compare mode — diff the loaded schemas against the "before" version
+    document.getElementById('compareBtn').addEventListener('click', async () => {
+        if (!beforeSchemas) return;
+
+        const errorMessage = document.getElementById('errorMessage');
+        const tableOutput = document.getElementById('tableOutput');
+
+        try {
+            tableOutput.innerHTML = '<div class="loading">Comparing schemas...</div>';
+            errorMessage.innerHTML = '';
+
+            const beforeProcessor = new SchemaProcessor();
+            if (!await beforeProcessor.processFiles([], beforeSchemas)) {
+                throw new Error('Could not identify the main schema of the "before" version.');
+            }
+            const afterProcessor = new SchemaProcessor();
+            if (!await afterProcessor.processFiles([], schemaSources)) {
+                throw new Error('Could not identify the main schema of the new version.');
+            }
+
+            window.currentDiff = new DictionaryDiff(renderer).compare(
+                beforeProcessor.getTableData(), afterProcessor.getTableData());
+            window.currentData = null;
+            resetImport();
+            tableOutput.innerHTML = renderer.renderDiff(window.currentDiff);
+        } catch (error) {
+            errorMessage.innerHTML = `<div class="error-message">Error: ${renderer.escapeHtml(error.message)}</div>`;
+            tableOutput.innerHTML = '';
+            window.currentDiff = null;
+        }
+
+        // The dictionary controls don't apply to the change log
+        document.getElementById('columnSelectorContainer').style.display = 'none';
+        document.getElementById('exportBtn').style.display = 'none';
+        document.getElementById('exportFormat').style.display = 'none';
+        document.getElementById('exportSelectedBtn').style.display = 'none';
+        document.getElementById('validationBar').style.display = 'none';
+        document.getElementById('generatorBar').style.display = 'none';
+        document.getElementById('qualityPanel').innerHTML = '';
+    });
+
+    // Example data — made-up records that fit the schema, reproducible from the seed
+    document.getElementById('generateDataBtn').addEventListener('click', () => {
+        if (!window.currentData) return;
+        const count = Math.max(1, Math.min(100000, parseInt(document.getElementById('generatorCount').value, 10) || 100));
+        const missingRate = Math.max(0, Math.min(100, Number(document.getElementById('generatorMissing').value) || 0)) / 100;
+        const seed = document.getElementById('generatorSeed').value.trim() || '1';
+        const format = document.getElementById('generatorFormat').value;
+
+        try {
+            const generator = new DataGenerator({ seed, missingRate });
+            const records = generator.generate(window.currentData, count);
+            const types = { csv: 'text/csv', json: 'application/json', ndjson: 'application/x-ndjson' };
+            saveAs(new Blob([DataGenerator.serialize(records, format)], { type: `${types[format]};charset=utf-8` }),
+                `${window.currentData.title || 'data_dictionary'} - example data.${format}`);
+            if (generator.warnings.size > 0) {
+                alert(`Some example values don't fit the schema:\n\n${[...generator.warnings]
+                    .map(([variable, reason]) => `${variable}: ${reason}`).join('\n')}`);
+            }
+        } catch (error) {
+            console.error('Error generating example data:', error);
+            alert(`Could not generate example data: ${error.message}`);
+        }
+    });
+
+    // Excel import — rebuild JSON Schema from an edited dictionary workbook
+    let importResult = null;
+
+    function resetImport() {
+        importResult = null;
+        document.getElementById('importInfo').textContent = window.currentData
+            ? 'Edits will be merged into the loaded schemas'
+            : 'Generate the table first to merge the edits into the loaded schemas';
+        document.getElementById('importLayout').style.display = 'none';
+        document.getElementById('downloadSchemasBtn').style.display = 'none';
+    }
+
+    document.getElementById('importInput').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const errorMessage = document.getElementById('errorMessage');
+        const tableOutput = document.getElementById('tableOutput');
+        const base = window.currentData;
+
+        try {
+            tableOutput.innerHTML = '<div class="loading">Reading workbook...</div>';
+            errorMessage.innerHTML = '';
+
+            const importer = new DictionaryImporter(renderer);
+            const sheet = await importer.readWorkbook(await file.arrayBuffer());
+            const result = importer.buildSchemas(sheet, base, base ? processor : null);
+
+            // Preview the rebuilt schemas as a change log against what is loaded
+            const afterProcessor = new SchemaProcessor();
+            // Dependencies stay dependencies, and keep the address their relative $refs resolve from
+            const referencer = result.documents.find(doc => !doc.dependency)?.name;
+            const sources = result.documents.map(doc => ({
+                text: JSON.stringify(doc.schema),
+                name: doc.name,
+                url: doc.original ? processor.retrievalURIs.get(doc.original) : null,
+                ...(doc.dependency && { referencedBy: referencer })
+            }));
+            if (!await afterProcessor.processFiles([], sources)) {
+                throw new Error('The workbook does not contain any variables.');
+            }
+            window.currentDiff = new DictionaryDiff(renderer).compare(
+                base || { title: 'No schemas loaded', properties: [] }, afterProcessor.getTableData());
+            importResult = { ...result, processor: base ? processor : null };
+
+            const notes = result.notes.length === 0 ? '' :
+                `<div class="import-notes"><strong>Import notes</strong><ul>` +
+                result.notes.map(note => `<li>${renderer.escapeHtml(note)}</li>`).join('') +
+                `</ul></div>`;
+            tableOutput.innerHTML = notes + renderer.renderDiff(window.currentDiff);
+
+            const count = result.documents.length;
+            document.getElementById('importInfo').textContent =
+                `${file.name}: ${count} schema file${count === 1 ? '' : 's'} ready`;
+            document.getElementById('importLayout').style.display = count > 1 ? 'inline-block' : 'none';
+            document.getElementById('downloadSchemasBtn').style.display = 'inline-block';
+
+            // The dictionary controls don't apply to the preview
+            document.getElementById('columnSelectorContainer').style.display = 'none';
+            document.getElementById('exportBtn').style.display = 'none';
+            document.getElementById('exportFormat').style.display = 'none';
+            document.getElementById('exportSelectedBtn').style.display = 'none';
+            document.getElementById('validationBar').style.display = 'none';
+            document.getElementById('generatorBar').style.display = 'none';
+            document.getElementById('qualityPanel').innerHTML = '';
+        } catch (error) {
+            errorMessage.innerHTML = `<div class="error-message">Could not import ${renderer.escapeHtml(file.name)}: ${renderer.escapeHtml(error.message)}</div>`;
+            tableOutput.innerHTML = base ? renderer.render(base) : '';
+        } finally {
+            // Allow the same workbook to be picked again after it has been edited
+            e.target.value = '';
+        }
+    });
+
+    document.getElementById('downloadSchemasBtn').addEventListener('click', () => {
+        if (!importResult) return;
+        const save = (schema, name) => saveAs(
+            new Blob([JSON.stringify(schema, null, 2)], { type: 'application/json;charset=utf-8' }), name);
+
+        const { documents } = importResult;
+        if (documents.length > 1 && document.getElementById('importLayout').value === 'combined') {
+            const combined = new DictionaryImporter(renderer).combine(importResult, importResult.processor);
+            save(combined, `${DictionaryImporter.slug(importResult.title)}.json`);
+        } else {
+            documents.forEach(doc => save(doc.schema, doc.name));
+        }
+    });
+
+    document.getElementById('downloadBundleBtn').addEventListener('click', async () => {
+        if (!window.currentData) return;
+        const bundle = createBundle(true);
+        saveAs(new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json;charset=utf-8' }),
+            `${DictionaryImporter.slug(window.currentData.title)}.bundle.json`);
+    });
+
+    // Print / PDF — the Print button and the browser's own print command both swap in the
+    // codebook layout while printing
+    window.addEventListener('beforeprint', () => {
+        if (!window.currentData) return;
+        document.getElementById('printView').innerHTML = renderer.renderPrintView(
+            window.currentData, columnManager.getSelectedColumns(),
+            {
+                // Schemas fetched for a $ref are listed too, as the dictionary is built from them as well
+                sources: [...processor.schemaList, ...processor.dependencyList]
+                    .map(schema => schema._sourceName || schema.$id).filter(Boolean)
+            });
+        document.body.classList.add('printing-dictionary');
+    });
+
+    window.addEventListener('afterprint', () => {
+        document.body.classList.remove('printing-dictionary');
+        document.getElementById('printView').innerHTML = '';
+    });
+
+    document.getElementById('printBtn').addEventListener('click', () => window.print());
+
+    // Data entry template — for the ticked variables, or all of them when none are ticked
+    document.getElementById('templateBtn').addEventListener('click', async () => {
+        if (!window.currentData) return;
+        const data = window.selectedVars.size === 0 ? window.currentData : {
+            ...window.currentData,
+            properties: window.currentData.properties.filter(p => window.selectedVars.has(p.key))
+        };
+        try {
+            await renderer.exportTemplate(data);
+        } catch (error) {
+            console.error('Error generating the data entry template:', error);
+            alert('An error occurred while generating the data entry template. Please try again.');
+        }
+    });
+
     // Export Selected button (in actions bar)
     document.getElementById('exportSelectedBtn').addEventListener('click', () => {
         window.exportSelected();
     });
 
-    // Copy shareable link button — compress URLs with LZ-string to keep the link short
-    document.getElementById('copyLinkBtn').addEventListener('click', () => {
-        if (pendingURLSchemas.length === 0) return;
-        const urlList = pendingURLSchemas.map(s => s.url).join('\n');
-        const compressed = LZString.compressToEncodedURIComponent(urlList);
-        const shareURL = `${location.origin}${location.pathname}?d=${compressed}`;
+    // Links longer than this get a warning — browsers cope, but many email and chat apps cut them short
+    const LONG_LINK_LENGTH = 8000;
+
+    // Copy shareable link button — compress with LZ-string to keep the link short.
+    // URL-only schema sets use ?d=; uploaded or restored schemas are embedded in #bundle=.
+    document.getElementById('copyLinkBtn').addEventListener('click', async () => {
+        if (schemaSources.length === 0) return;
+
+        let shareURL;
+        if (schemaSources.every(s => s.url)) {
+            // Referenced schemas are fetched again when the link is opened
+            const urlList = schemaSources.filter(s => !s.referencedBy).map(s => s.url).join('\n');
+            const compressed = LZString.compressToEncodedURIComponent(urlList);
+            shareURL = `${location.origin}${location.pathname}?d=${compressed}`;
+            const view = captureViewState();
+            if (Object.keys(view).length > 0) {
+                shareURL += `&view=${LZString.compressToEncodedURIComponent(JSON.stringify(view))}`;
+            }
+        } else {
+            const bundle = createBundle(false);
+            shareURL = `${location.origin}${location.pathname}#bundle=` +
+                LZString.compressToEncodedURIComponent(JSON.stringify(bundle));
+        }
+
+        if (shareURL.length > LONG_LINK_LENGTH && !confirm(
+            `This link is ${shareURL.length.toLocaleString()} characters long because it contains the schemas. ` +
+            'Some email and chat apps cut long links short — "Download bundle" saves the same thing as a file.\n\n' +
+            'Copy the link anyway?')) {
+            return;
+        }
+
         navigator.clipboard.writeText(shareURL).then(() => {
             const btn = document.getElementById('copyLinkBtn');
             const orig = btn.textContent;
@@ -1975,7 +1943,21 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     // Auto-load schemas from URL query params.
-    // Supports compressed ?d= links (new) and legacy ?s= links.
+    // Supports compressed ?d= links (new) and legacy ?s= links, plus an optional
+    // &view= with the columns, filters, collapsed sections and ticked rows.
+    // A #bundle= fragment carries the schemas themselves and takes precedence.
+    const fragment = new URLSearchParams(location.hash.slice(1));
+    let initBundle = null;
+    if (fragment.get('bundle')) {
+        try {
+            initBundle = JSON.parse(LZString.decompressFromEncodedURIComponent(fragment.get('bundle')) || 'null');
+        } catch { /* reported below */ }
+        if (!isBundle(initBundle)) {
+            initBundle = null;
+            document.getElementById('errorMessage').innerHTML =
+                '<div class="error-message">The schemas in this link could not be read — it may have been cut short.</div>';
+        }
+    }
     const qp = new URLSearchParams(location.search);
     let initURLs = [];
     const compressed = qp.get('d');
@@ -1987,10 +1969,24 @@ document.addEventListener('DOMContentLoaded', () => {
     } else {
         initURLs = qp.getAll('s');
     }
-    if (initURLs.length > 0) {
-        addURLs(initURLs.join('\n')).then(() => {
-            document.getElementById('processBtn').click();
+    let initView = null;
+    if (qp.get('view')) {
+        try {
+            initView = JSON.parse(LZString.decompressFromEncodedURIComponent(qp.get('view')) || 'null');
+        } catch { /* ignore malformed param — the schemas still load */ }
+    }
+    if (initBundle) {
+        loadBundle(initBundle);
+    } else if (initURLs.length > 0) {
+        addURLs(initURLs.join('\n')).then(async () => {
+            if (initView) applyViewColumns(initView);
+            if (await generateTable() && initView) applyViewState(initView);
         });
+    } else {
+        // No link to follow: reopen the workspace from last time
+        workspaceStore.list()
+            .then(workspaces => workspaces.length > 0 ? openWorkspace(workspaces[0].id) : renderWorkspaceList())
+            .catch(() => renderWorkspaceList());
     }
 
     // Close enum dropdowns when clicking outside
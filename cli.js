@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+/**
+ * Generate a data dictionary from JSON Schema files without a browser, e.g. in a build
+ * pipeline. Uses the same classes as the web page (dictionary.js).
+ *
+ *   node cli.js schemas/*.json -o dictionary.xlsx
+ *   node cli.js https://github.com/user/repo/blob/main/schema.json -c name,description,type -o dictionary.csv
+ *
+ * Excel output needs the exceljs package (npm install in this folder); the other formats need nothing.
+ */
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { SchemaProcessor, ColumnManager, TableRenderer, DataGenerator } = require('./dictionary');
+
+const USAGE = `Usage: node cli.js [options] <schema file or URL>...
+
+Options:
+  -o, --output <file>    Output file; the format follows the extension
+                         (.xlsx, .csv, .tsv, .md, .json, .html)
+  -f, --format <format>  Output format instead of the extension:
+                         excel, csv, tsv, markdown, json or html
+  -c, --columns <list>   Comma-separated columns, e.g. name,description,type,enum, or
+                         any keyword the schemas use, such as title or examples
+                         (default: ${new ColumnManager().getSelectedColumns().join(',')})
+  --sheet-per-category   Excel only: one worksheet per category, after an index sheet
+  --example-data <n>     Write n made-up records that fit the schema instead of the
+                         dictionary (.csv, .json or .ndjson output)
+  --seed <seed>          Seed for --example-data; the same seed gives the same records (default: 1)
+  --missing-rate <r>     Chance that --example-data leaves out an optional value, 0-1 (default: 0.1)
+  -h, --help             Show this help
+
+Schemas are combined exactly as in the web page: list a dataset schema together
+with the row and domain schemas it references, or several domain schemas to get
+one section each.`;
+
+const FORMATS_BY_EXTENSION = {
+    '.xlsx': 'excel',
+    '.csv': 'csv',
+    '.tsv': 'tsv',
+    '.md': 'markdown',
+    '.json': 'json',
+    '.html': 'html',
+    '.htm': 'html'
+};
+
+/**
+ * @param {string[]} args - Command-line arguments after the script name
+ * @returns {{ sources: string[], output: string|null, format: string|null, columns: string[]|null,
+ *   sheetPerCategory: boolean, exampleData: number|null, seed: string, missingRate: number, help: boolean }}
+ */
+function parseArgs(args) {
+    const options = {
+        sources: [], output: null, format: null, columns: null, sheetPerCategory: false,
+        exampleData: null, seed: '1', missingRate: 0.1, help: false
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const value = () => {
+            if (i + 1 >= args.length) throw new Error(`${arg} needs a value`);
+            return args[++i];
+        };
+
+        switch (arg) {
+            case '-o':
+            case '--output':
+                options.output = value();
+                break;
+            case '-f':
+            case '--format':
+                options.format = value();
+                break;
+            case '-c':
+            case '--columns':
+                options.columns = value().split(',').map(c => c.trim()).filter(Boolean);
+                break;
+            case '--sheet-per-category':
+                options.sheetPerCategory = true;
+                break;
+            case '--example-data':
+                options.exampleData = Number(value());
+                if (!Number.isInteger(options.exampleData) || options.exampleData < 1) {
+                    throw new Error('--example-data needs a whole number of records');
+                }
+                break;
+            case '--seed':
+                options.seed = value();
+                break;
+            case '--missing-rate':
+                options.missingRate = Number(value());
+                if (!(options.missingRate >= 0 && options.missingRate <= 1)) {
+                    throw new Error('--missing-rate needs a number from 0 to 1');
+                }
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+                options.sources.push(arg);
+        }
+    }
+    return options;
+}
+
+/**
+ * Read a schema from a file path or an http(s) URL (GitHub blob links included)
+ * @param {string} source
+ * @returns {Promise<{ text: string, name: string, url: string }>} url is where relative $refs resolve from
+ */
+async function loadSchema(source) {
+    let text;
+    let name;
+    let url;
+
+    if (/^https?:\/\//i.test(source)) {
+        url = SchemaProcessor.normalizeGitHubURL(source);
+        const res = await fetch(url, { signal: AbortSignal.timeout(15000) });
+        if (!res.ok) throw new Error(`${source}: HTTP ${res.status} — ${res.statusText}`);
+        text = await res.text();
+        name = url.split('/').pop() || 'schema.json';
+    } else {
+        text = await fs.promises.readFile(source, 'utf8');
+        name = path.basename(source);
+        url = pathToFileURL(path.resolve(source)).href;
+    }
+
+    try {
+        JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${source}: invalid JSON (${error.message})`);
+    }
+    return { text, name, url };
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (options.sources.length === 0 || !options.output) {
+        throw new Error(`Give at least one schema and an output file.\n\n${USAGE}`);
+    }
+
+    const processor = new SchemaProcessor();
+    const schemas = await Promise.all(options.sources.map(loadSchema));
+    if (!await processor.processFiles([], schemas)) {
+        throw new Error('Could not identify the main schema.');
+    }
+    const data = processor.getTableData();
+
+    if (options.exampleData) {
+        const extension = path.extname(options.output).toLowerCase();
+        const format = options.format || { '.csv': 'csv', '.json': 'json', '.ndjson': 'ndjson', '.jsonl': 'ndjson' }[extension];
+        if (!['csv', 'json', 'ndjson'].includes(format)) {
+            throw new Error(`Example data is written as csv, json or ndjson, not ${format || extension || 'no extension'}`);
+        }
+        const generator = new DataGenerator({ seed: options.seed, missingRate: options.missingRate });
+        const records = generator.generate(data, options.exampleData);
+        await fs.promises.writeFile(options.output, DataGenerator.serialize(records, format));
+        console.log(`Wrote ${records.length} example records to ${options.output}`);
+        for (const [variable, reason] of generator.warnings) {
+            console.warn(`Warning: ${variable}: ${reason}`);
+        }
+        return;
+    }
+
+    const format = options.format || FORMATS_BY_EXTENSION[path.extname(options.output).toLowerCase()];
+    if (!format || !(format === 'html' || TableRenderer.EXPORT_FORMATS[format])) {
+        throw new Error(`Can't tell the output format of ${options.output}; use --format`);
+    }
+
+    const columnManager = new ColumnManager();
+    if (options.columns) {
+        // Besides the built-in columns, any keyword the schemas use can be a column (the
+        // Data Check column needs a data file, which only the web page can check)
+        const valid = new Set(Object.keys(columnManager.columnDefinitions).filter(col => col !== 'validation'));
+        for (const { keyword } of processor.getKeywordUsageStats()) {
+            if (!columnManager.consolidatedKeywords.has(keyword)) valid.add(keyword);
+        }
+        const unknown = options.columns.filter(col => !valid.has(col));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown column${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}. ` +
+                `Valid columns: ${[...valid].join(', ')}`);
+        }
+        if (!options.columns.includes('name')) options.columns.unshift('name');
+        columnManager.setSelectedColumns(options.columns);
+    }
+    const renderer = new TableRenderer(columnManager);
+
+    const info = TableRenderer.EXPORT_FORMATS[format];
+    if (info.extension === 'xlsx') {
+        const sheetPerCategory = options.sheetPerCategory || !!info.sheetPerCategory;
+        await renderer.createExcelWorkbook(data, null, { sheetPerCategory }).xlsx.writeFile(options.output);
+    } else if (format === 'html') {
+        const css = await fs.promises.readFile(path.join(__dirname, 'styles.css'), 'utf8');
+        await fs.promises.writeFile(options.output, renderer.renderDocument(data, null, css));
+    } else {
+        await fs.promises.writeFile(options.output, renderer.exportText(format, data));
+    }
+
+    console.log(`Wrote ${data.properties.length} variables to ${options.output}`);
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,5174 @@
+/**
+ * Processes JSON Schema files and extracts table data for rendering
+ */
+class SchemaProcessor {
+    // Keywords that should not be shown as available columns
+    static EXCLUDED_KEYWORDS = new Set([
+        // System keywords
+        '$schema', '$id', '$ref', '$defs', 'definitions', 'properties', 'items', 'allOf', 'anyOf', 'oneOf',
+        '$anchor', '$dynamicAnchor', '$dynamicRef',
+        // Default column keywords that are always handled
+        'name', 'description', 'type', 'enum', 'enumDescriptions',
+        // Keywords consolidated into constraints column
+        'required', 'const', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+        'minLength', 'maxLength', 'pattern', 'multipleOf', 'minItems', 'maxItems',
+        'uniqueItems', 'minProperties', 'maxProperties', 'prefixItems', 'contains', 'minContains', 'maxContains',
+        // Conditional keywords, turned into per-variable rules in the constraints column
+        'if', 'then', 'else', 'dependentRequired', 'dependentSchemas'
+    ]);
+
+    // Guards against self-referencing schemas (e.g. a tree node whose children are nodes)
+    static MAX_NESTING_DEPTH = 10;
+
+    // Base URI of schemas given by file name only, so that "../common/codes.json" resolves
+    // between files the same way it does between URLs
+    static LOCAL_BASE = 'file:///';
+
+    // Keywords whose values are data, not subschemas
+    static VALUE_KEYWORDS = new Set(['enum', 'const', 'default', 'examples']);
+
+    // $schema URIs (without scheme or trailing "#") of the drafts whose keywords are understood
+    static DRAFTS = {
+        'json-schema.org/draft-04/schema': 'draft-04',
+        'json-schema.org/draft-06/schema': 'draft-06',
+        'json-schema.org/draft-07/schema': 'draft-07',
+        'json-schema.org/draft/2019-09/schema': '2019-09',
+        'json-schema.org/draft/2020-12/schema': '2020-12'
+    };
+
+    constructor() {
+        this.schemas = new Map();      // keyed by $id or filename
+        this.schemaList = [];          // insertion-ordered list for table output
+        this.dependencyList = [];      // schemas loaded only because another one $refs them
+        this.mainSchema = null;
+        this.keywordUsage = new Map();
+        this.expandingSchemas = new Set(); // definitions currently being expanded, for cycle detection
+        // $ref resolution: absolute URI (of a document, an embedded $id resource or an
+        // anchor, "…/common.json#sex") → { schema, root }, where root is the resource that
+        // "#/..." refs inside the schema resolve against
+        this.resources = new Map();
+        this.baseURIs = new Map();      // document or embedded resource → base URI from its $id
+        this.retrievalURIs = new Map(); // document → URL or file name it was loaded from
+        this.ambiguousURIs = new Map(); // URI claimed by different schemas → their source names
+        this.drafts = new Map();        // document or embedded resource → draft from its $schema
+    }
+
+    /**
+     * Normalise a GitHub blob URL to a raw.githubusercontent.com URL.
+     * Non-GitHub URLs are returned unchanged.
+     * @param {string} url
+     * @returns {string}
+     */
+    static normalizeGitHubURL(url) {
+        try {
+            const u = new URL(url);
+            if (u.hostname === 'github.com') {
+                // /user/repo/blob/branch/path/to/file.json
+                const parts = u.pathname.split('/').filter(Boolean);
+                if (parts.length >= 4 && parts[2] === 'blob') {
+                    const [user, repo, , branch, ...rest] = parts;
+                    return `https://raw.githubusercontent.com/${user}/${repo}/${branch}/${rest.join('/')}`;
+                }
+            }
+        } catch { /* leave unchanged */ }
+        return url;
+    }
+
+    /**
+     * The documents a schema's $refs point to outside itself, i.e. the part of each
+     * $ref before "#" ("common.json" for "common.json#/$defs/sex"), in order of appearance
+     * @param {Object} schema
+     * @returns {string[]}
+     */
+    static externalRefs(schema) {
+        const refs = new Set();
+        const visit = (node) => {
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+                return;
+            }
+            if (!node || typeof node !== 'object') return;
+            const ref = SchemaProcessor.refOf(node);
+            if (ref) {
+                const docRef = ref.split('#')[0];
+                if (docRef) refs.add(docRef);
+            }
+            for (const [keyword, value] of Object.entries(node)) {
+                if (!SchemaProcessor.VALUE_KEYWORDS.has(keyword)) visit(value);
+            }
+        };
+        visit(schema);
+        return [...refs];
+    }
+
+    /**
+     * The reference a schema follows: $ref, or $dynamicRef, which is resolved statically
+     * (to the $dynamicAnchor in the referenced resource) like a $ref
+     * @param {Object} schema
+     * @returns {string|null}
+     */
+    static refOf(schema) {
+        if (!schema || typeof schema !== 'object') return null;
+        if (typeof schema.$ref === 'string') return schema.$ref;
+        return typeof schema.$dynamicRef === 'string' ? schema.$dynamicRef : null;
+    }
+
+    /**
+     * The draft a schema declares in $schema
+     * @param {Object} schema
+     * @returns {string|null} e.g. "draft-07", or null when $schema is missing or not a known draft
+     */
+    static detectDraft(schema) {
+        if (typeof schema?.$schema !== 'string') return null;
+        return SchemaProcessor.DRAFTS[schema.$schema.replace(/^https?:\/\//i, '').replace(/#$/, '')] || null;
+    }
+
+    /**
+     * A schema's identifier: $id, or id in draft-04
+     * @param {Object} schema
+     * @param {string|null} draft
+     * @returns {string|undefined}
+     */
+    static idOf(schema, draft) {
+        const id = schema.$id ?? (draft === 'draft-04' ? schema.id : undefined);
+        return typeof id === 'string' ? id : undefined;
+    }
+
+    /**
+     * Resolve a (possibly relative) reference against a base URL
+     * @param {string} ref
+     * @param {string|null} base
+     * @returns {string|null} Absolute URL without fragment, or null if it can't be resolved
+     */
+    static resolveURL(ref, base) {
+        try {
+            const url = new URL(ref, base || undefined);
+            url.hash = '';
+            return url.href;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Process multiple JSON Schema files and identify the main schema.
+     * @param {File[]} files - File objects from the file picker
+     * @param {{ text: string, name: string, url?: string|null, referencedBy?: string }[]} extraSchemas -
+     *   Pre-fetched schemas (e.g. from URLs). Relative $ids and $refs resolve against url, or the
+     *   name when there is none. Those with referencedBy were loaded only because another
+     *   schema $refs them: they resolve references but are never the main schema or a section.
+     * @returns {Promise<boolean>} True if main schema was identified
+     */
+    async processFiles(files, extraSchemas = []) {
+        this.schemas.clear();
+        this.schemaList = [];
+        this.dependencyList = [];
+        this.mainSchema = null;
+        this.keywordUsage.clear();
+        this.resources.clear();
+        this.baseURIs.clear();
+        this.retrievalURIs.clear();
+        this.ambiguousURIs.clear();
+        this.drafts.clear();
+
+        let objectSchemaCandidate = null;
+
+        const registerSchema = (schema, name, dependency = false, url = null) => {
+            schema._sourceName = name; // fallback label if schema has no title
+            if (schema.$id) {
+                this.schemas.set(schema.$id, schema);
+            } else {
+                this.schemas.set(name, schema);
+            }
+            this.registerResources(schema, SchemaProcessor.resolveURL(url || name, SchemaProcessor.LOCAL_BASE));
+            if (dependency) {
+                this.dependencyList.push(schema);
+                return;
+            }
+            this.schemaList.push(schema);
+            // Prefer a type:array dataset-level schema as the main schema.
+            // Fall back to the first type:object schema found.
+            if (schema.type === 'array' && schema.items) {
+                this.mainSchema = schema;
+            } else if (!objectSchemaCandidate && (schema.type === 'object' || schema.properties)) {
+                objectSchemaCandidate = schema;
+            }
+        };
+
+        for (const file of files) {
+            const text = await file.text();
+            registerSchema(JSON.parse(text), file.name);
+        }
+
+        for (const { text, name, url, referencedBy } of extraSchemas) {
+            registerSchema(JSON.parse(text), name, Boolean(referencedBy), url);
+        }
+
+        // If no type:array schema found, use the best type:object candidate
+        if (!this.mainSchema) {
+            this.mainSchema = objectSchemaCandidate || this.schemas.values().next().value || null;
+        }
+
+        // Collect keyword usage after processing all schemas
+        if (this.mainSchema) {
+            this.collectKeywordUsage();
+        }
+
+        return this.mainSchema !== null;
+    }
+
+    /**
+     * Record the URIs a loaded document answers to for $ref resolution: the URL or file
+     * name it came from, its $id, and the $ids, $anchors and $dynamicAnchors inside it.
+     * A URI that two different schemas claim is recorded as ambiguous instead. Also notes
+     * the draft each document and embedded resource declares in $schema.
+     * @param {Object} doc
+     * @param {string|null} retrievalURI
+     */
+    registerResources(doc, retrievalURI) {
+        const sameSchema = (a, b) => {
+            const strip = (key, value) => key.startsWith('_') ? undefined : value;
+            return a === b || JSON.stringify(a, strip) === JSON.stringify(b, strip);
+        };
+        const claim = (uri, schema, root) => {
+            if (!uri) return;
+            const existing = this.resources.get(uri);
+            if (!existing) {
+                this.resources.set(uri, { schema, root });
+            } else if (!sameSchema(existing.schema, schema)) {
+                const names = this.ambiguousURIs.get(uri) || [existing.root._sourceName || existing.root.$id];
+                this.ambiguousURIs.set(uri, [...names, doc._sourceName]);
+            }
+        };
+
+        const visit = (node, base, root, draft) => {
+            if (Array.isArray(node)) {
+                node.forEach(child => visit(child, base, root, draft));
+                return;
+            }
+            if (!node || typeof node !== 'object') return;
+
+            const id = SchemaProcessor.idOf(node, SchemaProcessor.detectDraft(node) || draft);
+            if (id !== undefined && node !== doc) {
+                if (id.startsWith('#')) {
+                    // Draft 4-7 plain-name fragment, the forerunner of $anchor
+                    claim(`${base}${id}`, node, root);
+                } else {
+                    base = SchemaProcessor.resolveURL(id, base);
+                    root = node;
+                    draft = SchemaProcessor.detectDraft(node) || draft;
+                    this.baseURIs.set(node, base);
+                    this.drafts.set(node, draft);
+                    claim(base, node, node);
+                }
+            }
+            for (const keyword of ['$anchor', '$dynamicAnchor']) {
+                if (typeof node[keyword] === 'string') claim(`${base}#${node[keyword]}`, node, root);
+            }
+
+            for (const [keyword, value] of Object.entries(node)) {
+                if (!SchemaProcessor.VALUE_KEYWORDS.has(keyword) && !keyword.startsWith('_')) visit(value, base, root, draft);
+            }
+        };
+
+        const draft = SchemaProcessor.detectDraft(doc);
+        const id = SchemaProcessor.idOf(doc, draft);
+        const base = id !== undefined ? SchemaProcessor.resolveURL(id, retrievalURI) : retrievalURI;
+        this.retrievalURIs.set(doc, retrievalURI);
+        this.baseURIs.set(doc, base);
+        this.drafts.set(doc, draft);
+        claim(retrievalURI, doc, doc);
+        claim(base, doc, doc);
+        visit(doc, base, doc, draft);
+    }
+
+    /**
+     * The absolute URIs a $ref may mean, in the order they are tried: resolved against the
+     * base URI from the referencing resource's $id, then against the URL or file name the
+     * document was loaded from (many $ids are identifiers rather than real addresses)
+     * @param {string} ref
+     * @param {Object} rootSchema - Resource containing the $ref
+     * @returns {string[]} URIs with the fragment, if any
+     */
+    refURIs(ref, rootSchema) {
+        const uris = [];
+        for (const base of [this.baseURIs.get(rootSchema) || SchemaProcessor.LOCAL_BASE, this.retrievalURIs.get(rootSchema)]) {
+            if (!base) continue;
+            try {
+                const uri = new URL(ref, base).href;
+                if (!uris.includes(uri)) uris.push(uri);
+            } catch { /* not a URI reference */ }
+        }
+        return uris;
+    }
+
+    /**
+     * Resolve a $ref and also return the resource it landed in, so that any
+     * "#/..." refs inside the target are resolved against the right root.
+     * References are URIs resolved against the referencing schema's base URI: local
+     * pointers ("#/$defs/x"), other loaded files or $ids ("common.json"), pointers or
+     * anchors inside them ("common.json#/definitions/sex", "common.json#sex").
+     * An ambiguous target (claimed by two different schemas) is not resolved.
+     * @param {string} ref - The $ref string to resolve
+     * @param {Object} rootSchema - Resource containing the $ref
+     * @returns {{ schema: Object, root: Object }|null}
+     */
+    locateRef(ref, rootSchema) {
+        if (ref === '#' || ref.startsWith('#/')) {
+            const target = SchemaProcessor.resolvePointer(rootSchema, ref.substring(1));
+            return target ? { schema: target, root: rootSchema } : null;
+        }
+
+        for (const uri of this.refURIs(ref, rootSchema)) {
+            const hashIdx = uri.indexOf('#');
+            const resourceURI = hashIdx === -1 ? uri : uri.substring(0, hashIdx);
+            const fragment = hashIdx === -1 ? '' : uri.substring(hashIdx + 1);
+            if (this.ambiguousURIs.has(resourceURI)) return null;
+
+            if (fragment && !fragment.startsWith('/')) {
+                let anchor;
+                try {
+                    anchor = decodeURIComponent(fragment);
+                } catch {
+                    anchor = fragment;
+                }
+                const key = `${resourceURI}#${anchor}`;
+                if (this.ambiguousURIs.has(key)) return null;
+                if (this.resources.has(key)) return this.resources.get(key);
+                continue;
+            }
+
+            const resource = this.resources.get(resourceURI);
+            if (!resource) continue;
+            const target = SchemaProcessor.resolvePointer(resource.schema, fragment);
+            if (target) return { schema: target, root: resource.root };
+        }
+        return null;
+    }
+
+    /**
+     * Find the loaded document a $ref's document part points to
+     * @param {string} docRef - The part of a $ref before "#"
+     * @param {Object|null} rootSchema - Resource containing the $ref
+     * @returns {Object|null}
+     */
+    findSchemaDocument(docRef, rootSchema = null) {
+        const located = this.locateRef(docRef, rootSchema);
+        return located && this.retrievalURIs.has(located.schema) ? located.schema : null;
+    }
+
+    /**
+     * Walk a JSON pointer fragment ("/$defs/isoDate") inside a document.
+     * @param {Object} doc
+     * @param {string} fragment - Fragment without the leading "#"
+     * @returns {Object|null}
+     */
+    static resolvePointer(doc, fragment) {
+        if (!fragment) return doc;
+        if (!fragment.startsWith('/')) return null;
+
+        let current = doc;
+        for (const raw of fragment.substring(1).split('/')) {
+            let segment;
+            try {
+                segment = decodeURIComponent(raw);
+            } catch {
+                segment = raw;
+            }
+            segment = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+            if (current === null || typeof current !== 'object' || !(segment in current)) return null;
+            current = current[segment];
+        }
+        return current;
+    }
+
+    /**
+     * Follow a schema's $ref chain and merge sibling keywords on top of the
+     * target, e.g. { "$ref": "#/$defs/isoDate", "description": "Visit date" }.
+     * An allOf with $refs in it is merged the same way (see mergeAllOf).
+     * Unresolvable refs leave the schema as written. Keywords of older drafts come back
+     * in their 2020-12 form (see normalizeKeywords).
+     * @param {Object} schema - A property or items schema
+     * @param {Object} rootSchema - Document containing the schema
+     * @returns {{ schema: Object, root: Object, refSource: string|null, target: Object }}
+     *   target is the definition the chain ended at, before sibling merging
+     */
+    derefSchema(schema, rootSchema, seen = new Set()) {
+        const draft = this.drafts.get(rootSchema) || null;
+        const ref = SchemaProcessor.refOf(schema);
+        if (!ref && Array.isArray(schema.allOf) && schema.allOf.some(member => SchemaProcessor.refOf(member))) {
+            return this.mergeAllOf(schema, rootSchema, seen);
+        }
+        if (!ref) {
+            return { schema: SchemaProcessor.normalizeKeywords(schema, draft), root: rootSchema, refSource: null, target: schema };
+        }
+
+        const located = this.locateRef(ref, rootSchema);
+        if (!located || seen.has(located.schema)) {
+            return { schema: SchemaProcessor.normalizeKeywords(schema, draft), root: rootSchema, refSource: null, target: schema };
+        }
+        seen.add(located.schema);
+
+        const target = this.derefSchema(located.schema, located.root, seen);
+        const { $ref, $dynamicRef, ...siblings } = schema;
+
+        // Document-level bookkeeping should not leak into the property
+        const merged = {};
+        for (const [key, value] of Object.entries(target.schema)) {
+            if (!key.startsWith('_') && !['$id', '$schema', '$anchor', '$dynamicAnchor'].includes(key)) {
+                merged[key] = value;
+            }
+        }
+        Object.assign(merged, siblings);
+
+        return { schema: SchemaProcessor.normalizeKeywords(merged, draft), root: target.root, refSource: ref, target: target.target };
+    }
+
+    /**
+     * Merge the members of an allOf that $refs other schemas into one schema, the way
+     * drafts before 2019-09 give a $ref sibling keywords:
+     * { "allOf": [{ "$ref": "#/definitions/siteCode" }], "description": "Enrolling site" }.
+     * Properties and required lists are combined; for other keywords later members win,
+     * and the schema's own keywords win over all of them. Refs inside the merged schema
+     * resolve in the document of the first $ref. If a $ref can't be resolved, the
+     * schema is left as written.
+     * @param {Object} schema - A property or items schema with allOf
+     * @param {Object} rootSchema - Document containing the schema
+     * @param {Set<Object>} seen - Definitions already followed, to stop $ref cycles
+     * @returns {{ schema: Object, root: Object, refSource: string|null, target: Object }} As derefSchema
+     */
+    mergeAllOf(schema, rootSchema, seen) {
+        const draft = this.drafts.get(rootSchema) || null;
+        const { allOf, ...siblings } = schema;
+        const merged = {};
+        let first = null;
+
+        for (const member of allOf) {
+            const part = this.derefSchema(member, rootSchema, new Set(seen));
+            if (SchemaProcessor.refOf(member) && !part.refSource) {
+                return { schema: SchemaProcessor.normalizeKeywords(schema, draft), root: rootSchema, refSource: null, target: schema };
+            }
+            if (part.refSource && !first) first = part;
+            SchemaProcessor.mergeKeywords(merged, part.schema);
+        }
+        SchemaProcessor.mergeKeywords(merged, SchemaProcessor.normalizeKeywords(siblings, draft));
+
+        return {
+            schema: merged,
+            root: first.root,
+            refSource: first.refSource,
+            target: allOf.length === 1 ? first.target : schema
+        };
+    }
+
+    /**
+     * Add a schema's keywords to a merged one: properties and required lists are
+     * combined, other keywords replaced
+     * @param {Object} merged - Modified in place
+     * @param {Object} schema
+     */
+    static mergeKeywords(merged, schema) {
+        for (const [key, value] of Object.entries(schema)) {
+            if (key === 'properties' && merged.properties) {
+                merged.properties = { ...merged.properties, ...value };
+            } else if (key === 'required' && Array.isArray(merged.required) && Array.isArray(value)) {
+                merged.required = [...new Set([...merged.required, ...value])];
+            } else {
+                merged[key] = value;
+            }
+        }
+    }
+
+    /**
+     * Expand a nested object or array-items schema unless the same definition is
+     * already being expanded further up (a self-referencing $ref such as a tree node).
+     * @param {Object} target - Definition about to be expanded
+     * @param {Function} expand - Returns the rows for that definition
+     * @returns {Array}
+     */
+    expandNested(target, expand) {
+        if (this.expandingSchemas.has(target)) return [];
+        this.expandingSchemas.add(target);
+        try {
+            return expand();
+        } finally {
+            this.expandingSchemas.delete(target);
+        }
+    }
+
+    /**
+     * Check a schema's type keyword, which may be a string or an array of types
+     * @param {Object} schema
+     * @param {string} type
+     * @returns {boolean}
+     */
+    static hasType(schema, type) {
+        return Array.isArray(schema.type) ? schema.type.includes(type) : schema.type === type;
+    }
+
+    /**
+     * Rewrite keywords of older drafts in their 2020-12 form, so rendering, validation and
+     * export only deal with one vocabulary: boolean exclusiveMinimum/exclusiveMaximum
+     * (draft-04), dependencies (split into dependentRequired and dependentSchemas),
+     * tuple items: [...] with additionalItems (now prefixItems and items) and draft-04 id.
+     * Subschemas are rewritten too, except under properties: each property is normalised
+     * when it becomes a row.
+     * @param {Object} schema
+     * @param {string|null} draft - Draft of the document the schema comes from
+     * @returns {Object} The schema itself when there is nothing to rewrite, otherwise a copy
+     */
+    static normalizeKeywords(schema, draft = null) {
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return schema;
+        let result = schema;
+        const copy = () => {
+            if (result === schema) result = { ...schema };
+            return result;
+        };
+
+        if (draft === 'draft-04' && typeof schema.id === 'string' && schema.$id === undefined) {
+            const { id, ...rest } = schema;
+            result = { $id: id, ...rest };
+        }
+
+        for (const [keyword, bound] of [['exclusiveMinimum', 'minimum'], ['exclusiveMaximum', 'maximum']]) {
+            if (typeof schema[keyword] !== 'boolean') continue;
+            delete copy()[keyword];
+            if (schema[keyword] && typeof schema[bound] === 'number') {
+                result[keyword] = schema[bound];
+                delete result[bound];
+            }
+        }
+
+        if (schema.dependencies && typeof schema.dependencies === 'object') {
+            delete copy().dependencies;
+            for (const [name, dependency] of Object.entries(schema.dependencies)) {
+                const keyword = Array.isArray(dependency) ? 'dependentRequired' : 'dependentSchemas';
+                result[keyword] = { ...result[keyword], [name]: dependency };
+            }
+        }
+
+        if (Array.isArray(schema.items)) {
+            delete copy().items;
+            result.prefixItems = schema.items;
+            if (schema.additionalItems !== undefined) result.items = schema.additionalItems;
+            delete result.additionalItems;
+        }
+
+        for (const [keyword, value] of Object.entries(result)) {
+            if (['items', 'additionalProperties', 'contains', 'not', 'if', 'then', 'else'].includes(keyword)) {
+                const normalized = SchemaProcessor.normalizeKeywords(value, draft);
+                if (normalized !== value) copy()[keyword] = normalized;
+            } else if (['prefixItems', 'allOf', 'anyOf', 'oneOf'].includes(keyword) && Array.isArray(value)) {
+                const normalized = value.map(sub => SchemaProcessor.normalizeKeywords(sub, draft));
+                if (normalized.some((sub, index) => sub !== value[index])) copy()[keyword] = normalized;
+            } else if (keyword === 'dependentSchemas' && value && typeof value === 'object') {
+                const entries = Object.entries(value).map(([name, sub]) => [name, SchemaProcessor.normalizeKeywords(sub, draft)]);
+                if (entries.some(([name, sub]) => sub !== value[name])) copy()[keyword] = Object.fromEntries(entries);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * @param {Object}  schema
+     * @param {string|null} category
+     * @param {boolean} forceCategory  When true, ALL nested allOf/$ref schemas
+     *   inherit the same category instead of using their own title.
+     *   Use this when each uploaded file should appear as exactly one section.
+     * @param {Object} rootSchema  Document that "#/..." refs resolve against
+     * @param {string} parentPath  Dotted path of the enclosing object property, if any
+     * @param {number} depth  Nesting level of the enclosing object property
+     * @param {string} arrayPath  Path of the enclosing array's items ("kids[]"), if any
+     */
+    extractProperties(schema, category = null, forceCategory = false, rootSchema = schema, parentPath = '', depth = 0, arrayPath = '') {
+        const result = [];
+
+        if (depth > SchemaProcessor.MAX_NESTING_DEPTH) return result;
+
+        // A subschema with its own $id is the root for the "#/..." refs inside it
+        if (schema !== rootSchema && this.baseURIs.has(schema)) rootSchema = schema;
+
+        if (schema.properties) {
+            for (const [name, rawSchema] of Object.entries(schema.properties)) {
+                const resolved = this.derefSchema(rawSchema, rootSchema);
+                let propSchema = resolved.schema;
+
+                // oneOf / anyOf branches and tuple items are rendered one by one, so resolve their $refs as well
+                for (const keyword of ['oneOf', 'anyOf', 'prefixItems']) {
+                    if (Array.isArray(propSchema[keyword]) && propSchema[keyword].some(b => SchemaProcessor.refOf(b))) {
+                        propSchema = {
+                            ...propSchema,
+                            [keyword]: propSchema[keyword].map(b => this.derefSchema(b, resolved.root).schema)
+                        };
+                    }
+                }
+                if (SchemaProcessor.refOf(propSchema.contains)) {
+                    propSchema = { ...propSchema, contains: this.derefSchema(propSchema.contains, resolved.root).schema };
+                }
+
+                // Resolve array items too, so item keywords and sub-fields are visible
+                let items = null;
+                if (propSchema.items && typeof propSchema.items === 'object' && !Array.isArray(propSchema.items)) {
+                    items = this.derefSchema(propSchema.items, resolved.root);
+                    if (items.refSource) {
+                        propSchema = { ...propSchema, items: items.schema };
+                    }
+                }
+
+                const path = parentPath ? `${parentPath}.${name}` : name;
+
+                result.push({
+                    category: category,
+                    name: name,
+                    path: path,
+                    depth: depth,
+                    schema: propSchema,
+                    required: schema.required?.includes(name) || false,
+                    refSource: resolved.refSource,
+                    itemsRefSource: items?.refSource || null,
+                    source: rootSchema?._sourceName || rootSchema?.$id || '',
+                    owner: schema // object schema listing this property, for writing edits back
+                });
+
+                // If this property is a nested array of objects, expand its item
+                // properties as additional rows grouped under a sub-category.
+                // When forceCategory=true (multi-schema mode) keep the parent category
+                // so array items don't create a separate section in the filter dropdown.
+                if (SchemaProcessor.hasType(propSchema, 'array') && items?.schema?.properties) {
+                    // Arrays inside array items are named from the record root (kids[].pets)
+                    const arrayParent = arrayPath ? `${arrayPath}.${path}` : path;
+                    const arrayCategory = forceCategory ? category : `${arrayParent} — array items`;
+                    const subItems = this.expandNested(items.target, () =>
+                        this.extractProperties(items.schema, arrayCategory, forceCategory, items.root, '', depth + 1, `${arrayParent}[]`));
+                    subItems.forEach(item => {
+                        if (item.arrayParent) return; // belongs to a deeper array's sub-header
+                        item.arrayParent = arrayParent;
+                        // Item rows sit under their own sub-header, so indent relative to it
+                        item.depth -= depth + 1;
+                    });
+                    result.push(...subItems);
+                }
+
+                // Nested objects expand recursively into dotted-path rows (address.city)
+                // under the same category, indented beneath their parent row.
+                if (propSchema.properties && (propSchema.type === undefined || SchemaProcessor.hasType(propSchema, 'object'))) {
+                    result.push(...this.expandNested(resolved.target, () =>
+                        this.extractProperties(propSchema, category, forceCategory, resolved.root, path, depth + 1, arrayPath)));
+                }
+            }
+        }
+
+        if (schema.allOf) {
+            for (const subSchema of schema.allOf) {
+                if (SchemaProcessor.refOf(subSchema)) {
+                    const located = this.locateRef(SchemaProcessor.refOf(subSchema), rootSchema);
+                    if (located) {
+                        const resolved = located.schema;
+                        // If forceCategory, keep the parent category; otherwise use sub-schema title
+                        const subCategory = forceCategory ? category : (resolved.title || category);
+                        result.push(...this.extractProperties(resolved, subCategory, forceCategory, located.root, parentPath, depth, arrayPath));
+                    }
+                } else {
+                    result.push(...this.extractProperties(subSchema, category, forceCategory, rootSchema, parentPath, depth, arrayPath));
+                }
+            }
+        }
+
+        // Attach conditional rules to the variables they affect at this object level
+        // (rows from nested objects or array items belong to a deeper level).
+        const rules = this.collectConditionalRules(SchemaProcessor.normalizeKeywords(schema, this.drafts.get(rootSchema)));
+        if (rules.size > 0) {
+            for (const row of result) {
+                if (row.depth !== depth || row.arrayParent !== undefined || !rules.has(row.name)) continue;
+                const conditions = row.conditions || [];
+                for (const rule of rules.get(row.name)) {
+                    if (!conditions.includes(rule)) conditions.push(rule);
+                }
+                row.conditions = conditions;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Turn if/then/else, dependentRequired and dependentSchemas on a normalised object
+     * schema (and its inline allOf entries) into readable per-variable rules,
+     * e.g. "Required when ever_pregnant = true".
+     * @param {Object} schema - Object (row) schema
+     * @returns {Map<string, string[]>} Rules keyed by property name
+     */
+    collectConditionalRules(schema) {
+        const rules = new Map();
+        const addRule = (name, text) => {
+            if (!rules.has(name)) rules.set(name, []);
+            if (!rules.get(name).includes(text)) rules.get(name).push(text);
+        };
+
+        const visit = (node, conditions) => {
+            if (!node || typeof node !== 'object') return;
+
+            if (conditions.length > 0) {
+                this.describeEffects(node, conditions, addRule);
+            }
+
+            if (node.if && typeof node.if === 'object') {
+                const test = this.describeCondition(node.if);
+                if (node.then) visit(node.then, [...conditions, { test, negated: false }]);
+                if (node.else) visit(node.else, [...conditions, { test, negated: true }]);
+            }
+
+            for (const [name, deps] of Object.entries(node.dependentRequired || {})) {
+                const clause = SchemaProcessor.formatConditionClause([...conditions, { test: `${name} is present`, negated: false }]);
+                for (const dep of deps) addRule(dep, `Required ${clause}`);
+            }
+
+            for (const [name, depSchema] of Object.entries(node.dependentSchemas || {})) {
+                visit(depSchema, [...conditions, { test: `${name} is present`, negated: false }]);
+            }
+
+            // Inline allOf entries commonly hold one if/then pair each
+            for (const sub of node.allOf || []) {
+                if (!sub.$ref) visit(sub, conditions);
+            }
+        };
+
+        visit(schema, []);
+        return rules;
+    }
+
+    /**
+     * Describe what a then/else/dependentSchemas branch imposes on each variable
+     * @param {Object} node - Branch schema
+     * @param {Array<{ test: string, negated: boolean }>} conditions - Conditions leading to it
+     * @param {Function} addRule - (name, text) callback
+     */
+    describeEffects(node, conditions, addRule) {
+        const clause = SchemaProcessor.formatConditionClause(conditions);
+
+        for (const name of node.required || []) {
+            addRule(name, `Required ${clause}`);
+        }
+
+        for (const [name, sub] of Object.entries(node.properties || {})) {
+            if (sub === false || (sub?.not && Object.keys(sub.not).length === 0)) {
+                addRule(name, `Not allowed ${clause}`);
+            } else if (Array.isArray(sub?.enum)) {
+                addRule(name, `Allowed values narrowed to [${sub.enum.map(SchemaProcessor.formatLiteral).join(',')}] ${clause}`);
+            } else if (sub?.const !== undefined) {
+                addRule(name, `Must be ${SchemaProcessor.formatLiteral(sub.const)} ${clause}`);
+            } else if (sub && typeof sub === 'object') {
+                const tests = this.describePropertyTests(name, sub);
+                if (tests.length > 0) addRule(name, `Must satisfy ${tests.join(' and ')} ${clause}`);
+            }
+        }
+    }
+
+    /**
+     * Describe an if schema as a readable test, e.g. "sex = F and age ≥ 18"
+     * @param {Object} ifSchema
+     * @returns {string}
+     */
+    describeCondition(ifSchema) {
+        const parts = [];
+        const properties = ifSchema.properties || {};
+
+        for (const [name, sub] of Object.entries(properties)) {
+            parts.push(...this.describePropertyTests(name, sub));
+        }
+        for (const name of ifSchema.required || []) {
+            if (!(name in properties)) parts.push(`${name} is present`);
+        }
+        for (const sub of ifSchema.allOf || []) {
+            parts.push(this.describeCondition(sub));
+        }
+        if (Array.isArray(ifSchema.anyOf)) {
+            parts.push(`(${ifSchema.anyOf.map(sub => this.describeCondition(sub)).join(' or ')})`);
+        }
+        if (ifSchema.not && typeof ifSchema.not === 'object') {
+            parts.push(`not (${this.describeCondition(ifSchema.not)})`);
+        }
+
+        return parts.filter(Boolean).join(' and ') || JSON.stringify(ifSchema);
+    }
+
+    /**
+     * Describe the tests a subschema applies to one property
+     * @param {string} name - Property name
+     * @param {Object} sub - Subschema under properties[name]
+     * @returns {string[]}
+     */
+    describePropertyTests(name, sub) {
+        if (!sub || typeof sub !== 'object') return [];
+        const literal = SchemaProcessor.formatLiteral;
+        const tests = [];
+
+        if (sub.const !== undefined) tests.push(`${name} = ${literal(sub.const)}`);
+        if (Array.isArray(sub.enum)) {
+            tests.push(sub.enum.length === 1
+                ? `${name} = ${literal(sub.enum[0])}`
+                : `${name} in [${sub.enum.map(literal).join(',')}]`);
+        }
+        if (sub.minimum !== undefined) tests.push(`${name} ≥ ${sub.minimum}`);
+        if (typeof sub.exclusiveMinimum === 'number') tests.push(`${name} > ${sub.exclusiveMinimum}`);
+        if (sub.maximum !== undefined) tests.push(`${name} ≤ ${sub.maximum}`);
+        if (typeof sub.exclusiveMaximum === 'number') tests.push(`${name} < ${sub.exclusiveMaximum}`);
+        if (sub.pattern) tests.push(`${name} matches /${sub.pattern}/`);
+        if (sub.type) tests.push(`${name} is ${[].concat(sub.type).join(' or ')}`);
+        if (sub.not?.const !== undefined) tests.push(`${name} ≠ ${literal(sub.not.const)}`);
+        if (Array.isArray(sub.not?.enum)) tests.push(`${name} not in [${sub.not.enum.map(literal).join(',')}]`);
+
+        return tests;
+    }
+
+    /**
+     * Join the conditions leading to a rule, e.g. "when a = 1" or "unless b = 2"
+     * @param {Array<{ test: string, negated: boolean }>} conditions
+     * @returns {string}
+     */
+    static formatConditionClause(conditions) {
+        if (conditions.length === 1 && conditions[0].negated) {
+            return `unless ${conditions[0].test}`;
+        }
+        return 'when ' + conditions.map(c => c.negated ? `not (${c.test})` : c.test).join(' and ');
+    }
+
+    /**
+     * Format a schema value for a rule sentence: strings unquoted, objects as JSON
+     * @param {*} value
+     * @returns {string}
+     */
+    static formatLiteral(value) {
+        return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    collectKeywordUsage() {
+        const properties = this.getTableData()?.properties || [];
+
+        for (const prop of properties) {
+            const schema = prop.schema;
+
+            // Collect all keywords from the schema
+            for (const keyword of Object.keys(schema)) {
+                if (!SchemaProcessor.EXCLUDED_KEYWORDS.has(keyword)) {
+                    const count = this.keywordUsage.get(keyword) || 0;
+                    this.keywordUsage.set(keyword, count + 1);
+                }
+            }
+        }
+    }
+
+    getKeywordUsageStats() {
+        // Sort by usage count (descending)
+        return Array.from(this.keywordUsage.entries())
+            .sort((a, b) => b[1] - a[1])
+            .map(([keyword, count]) => ({ keyword, count }));
+    }
+
+    getTableData() {
+        if (!this.mainSchema) return null;
+
+        // Case 1: dataset-level array schema — resolve its item/row schema and
+        // use the existing allOf/$ref resolution path.
+        if (this.mainSchema.type === 'array' && this.mainSchema.items) {
+            let rowSchema = this.mainSchema.items;
+            let rowRoot = this.mainSchema;
+            if (SchemaProcessor.refOf(rowSchema)) {
+                const located = this.locateRef(SchemaProcessor.refOf(rowSchema), this.mainSchema);
+                if (located) {
+                    rowSchema = located.schema;
+                    rowRoot = located.root;
+                }
+            }
+            if (!rowSchema) return null;
+            return {
+                title: this.mainSchema.title || rowSchema.title || 'Dataset Schema',
+                description: this.mainSchema.description || rowSchema.description || '',
+                draft: this.describeDrafts([this.mainSchema, rowRoot]),
+                properties: SchemaProcessor.assignRowKeys(this.extractProperties(rowSchema, null, false, rowRoot))
+            };
+        }
+
+        // Case 2: multiple type:object schemas uploaded directly — combine all
+        // into a single table, one category per schema (no wrapper files needed).
+        // Use schemaList (not schemas.values()) to preserve the exact insertion order.
+        // Include any schema that isn't a dataset-level array wrapper
+        const objectSchemas = this.schemaList.filter(
+            s => !(s.type === 'array' && s.items)
+        );
+        if (objectSchemas.length > 1) {
+            // If two schemas share the same title (e.g. wrong title in schema file),
+            // fall back to the cleaned filename so each file gets its own section.
+            const titleCount = new Map();
+            for (const s of objectSchemas) {
+                if (s.title) titleCount.set(s.title, (titleCount.get(s.title) || 0) + 1);
+            }
+            const cleanName = src => src.replace(/\.json$/i, '').replace(/_/g, ' ');
+
+            const allProperties = [];
+            for (const schema of objectSchemas) {
+                const titleIsUnique = schema.title && titleCount.get(schema.title) === 1;
+                const cat = titleIsUnique
+                    ? schema.title
+                    : (schema._sourceName ? cleanName(schema._sourceName) : schema.title || null);
+                allProperties.push(...this.extractProperties(schema, cat, true));
+            }
+            const titles = objectSchemas.map(s => s.title).filter(Boolean).join(', ');
+            return {
+                title: 'Combined Data Dictionary',
+                description: titles ? `Sections: ${titles}` : `Combined from ${objectSchemas.length} schema files`,
+                draft: this.describeDrafts(objectSchemas),
+                properties: SchemaProcessor.assignRowKeys(allProperties)
+            };
+        }
+
+        // Case 3: single type:object schema.
+        return {
+            title: this.mainSchema.title || 'Dataset Schema',
+            description: this.mainSchema.description || '',
+            draft: this.describeDrafts([this.mainSchema]),
+            properties: SchemaProcessor.assignRowKeys(this.extractProperties(this.mainSchema))
+        };
+    }
+
+    /**
+     * The JSON Schema drafts the given documents declare, for the table header
+     * @param {Object[]} docs
+     * @returns {string} e.g. "draft-07" or "draft-04, 2020-12"; "2020-12 (assumed)" when none
+     *   declares a known draft
+     */
+    describeDrafts(docs) {
+        const drafts = [...new Set(docs.map(doc => this.drafts.get(doc)).filter(Boolean))];
+        return drafts.length > 0 ? drafts.join(', ') : '2020-12 (assumed)';
+    }
+
+    /**
+     * Give every row a key that is unique within the table and stays the same when the
+     * table is regenerated: source schema, category and property path, with array-item
+     * rows under their array ("visits[].visit_date"). Rows that still collide (e.g. the
+     * same field listed twice through allOf) are numbered in table order.
+     * @param {Object[]} properties - Rows from extractProperties
+     * @returns {Object[]} The same rows, each with a key
+     */
+    static assignRowKeys(properties) {
+        const seen = new Map();
+        for (const prop of properties) {
+            const base = [
+                prop.source || '',
+                prop.category || '',
+                SchemaProcessor.rowPath(prop)
+            ].join('|');
+            const count = (seen.get(base) || 0) + 1;
+            seen.set(base, count);
+            prop.key = count === 1 ? base : `${base}|${count}`;
+        }
+        return properties;
+    }
+
+    /**
+     * Path of a row from the record root, with array items under their array
+     * ("kids[].pets[].kind")
+     * @param {Object} prop - Row from extractProperties
+     * @returns {string}
+     */
+    static rowPath(prop) {
+        const path = prop.path || prop.name;
+        return prop.arrayParent ? `${prop.arrayParent}[].${path}` : path;
+    }
+}
+
+/**
+ * Column definitions, selection and ordering for the data dictionary table
+ */
+class ColumnManager {
+    constructor() {
+        // Default columns that are always shown initially
+        this.defaultColumns = [
+            { keyword: 'name', display: 'Variable Name', width: 150 },
+            { keyword: 'description', display: 'Description', width: 300 },
+            { keyword: 'type', display: 'Data Type', width: 110 },
+            { keyword: 'format', display: 'Format', width: 140 },
+            { keyword: 'enum', display: 'Valid Values', width: 140 },
+            { keyword: 'constraints', display: 'Constraints', width: 150 },
+            { keyword: 'additionalInfo', display: 'Additional Info', width: 120 }
+        ];
+
+        // Default column order
+        this.defaultColumnOrder = this.defaultColumns.map(c => c.keyword);
+
+        // All possible column definitions
+        this.columnDefinitions = {
+            name: { display: 'Variable Name', width: 150 },
+            description: { display: 'Description', width: 300 },
+            type: { display: 'Data Type', width: 110 },
+            enum: { display: 'Valid Values', width: 140 },
+            constraints: { display: 'Constraints', width: 150 },
+            additionalInfo: { display: 'Additional Info', width: 120 },
+            // Additional columns that can be pulled from Additional Info
+            format: { display: 'Format', width: 100 },
+            default: { display: 'Default', width: 100 },
+            deprecated: { display: 'Deprecated', width: 90 },
+            readOnly: { display: 'Read Only', width: 90 },
+            writeOnly: { display: 'Write Only', width: 90 },
+            title: { display: 'Title', width: 150 },
+            examples: { display: 'Examples', width: 200 },
+            // Results of checking a data file against the schema
+            validation: { display: 'Data Check', width: 160 }
+        };
+
+        // Keywords that are consolidated into other columns and shouldn't appear as options
+        this.consolidatedKeywords = new Set([
+            'required', 'const', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+            'minLength', 'maxLength', 'pattern', 'multipleOf', 'minItems', 'maxItems',
+            'uniqueItems', 'minProperties', 'maxProperties', 'enumDescriptions'
+        ]);
+
+        // Currently selected columns
+        this.selectedColumns = this.defaultColumns.map(c => c.keyword);
+
+    }
+
+    getSelectedColumns() {
+        return this.selectedColumns;
+    }
+
+    setSelectedColumns(columns) {
+        this.selectedColumns = columns;
+    }
+
+    moveColumn(fromIndex, toIndex) {
+        if (fromIndex === toIndex) return;
+
+        const columns = [...this.selectedColumns];
+        const [movedColumn] = columns.splice(fromIndex, 1);
+        columns.splice(toIndex, 0, movedColumn);
+
+        this.selectedColumns = columns;
+        return columns;
+    }
+
+    resetColumnOrder() {
+        // Reset to default order, keeping only currently selected columns
+        const selected = new Set(this.selectedColumns);
+        this.selectedColumns = this.defaultColumnOrder.filter(col => selected.has(col));
+
+        // Add any selected columns not in default order at the end
+        for (const col of selected) {
+            if (!this.defaultColumnOrder.includes(col)) {
+                this.selectedColumns.push(col);
+            }
+        }
+
+        return this.selectedColumns;
+    }
+
+    getColumnDefinition(keyword) {
+        return this.columnDefinitions[keyword] ||
+               { display: this.formatKeywordDisplay(keyword), width: 120 };
+    }
+
+    formatKeywordDisplay(keyword) {
+        // Convert camelCase to Title Case
+        return keyword.replace(/([A-Z])/g, ' $1')
+                     .replace(/^./, str => str.toUpperCase())
+                     .trim();
+    }
+}
+
+/**
+ * Renders schema data as HTML tables and exports it to Excel, CSV, TSV, Markdown and JSON.
+ * Builds strings and ExcelJS workbooks only; saving them is up to the caller.
+ */
+class TableRenderer {
+    // Standard JSON Schema format descriptions
+    static FORMAT_DESCRIPTIONS = {
+        // Dates and Times
+        'date-time': {
+            description: 'Date and time together',
+            example: '2018-11-13T20:20:39+00:00'
+        },
+        'time': {
+            description: 'Time',
+            example: '20:20:39+00:00'
+        },
+        'date': {
+            description: 'Date',
+            example: '2018-11-13'
+        },
+        'duration': {
+            description: 'ISO 8601 duration',
+            example: 'P3D (3 days)'
+        },
+
+        // Email Addresses
+        'email': {
+            description: 'Email address',
+            example: 'user@example.com'
+        },
+        'idn-email': {
+            description: 'Internationalized email',
+            example: 'user@例え.jp'
+        },
+
+        // Hostnames
+        'hostname': {
+            description: 'Internet host name',
+            example: 'example.com'
+        },
+        'idn-hostname': {
+            description: 'Internationalized hostname',
+            example: '例え.jp'
+        },
+
+        // IP Addresses
+        'ipv4': {
+            description: 'IPv4 address',
+            example: '192.168.1.1'
+        },
+        'ipv6': {
+            description: 'IPv6 address',
+            example: '2001:db8::8a2e:370:7334'
+        },
+
+        // Resource Identifiers
+        'uuid': {
+            description: 'Universally Unique Identifier',
+            example: '3e4666bf-d5e5-4aa7-b8ce-cefe41c7568a'
+        },
+        'uri': {
+            description: 'URI',
+            example: 'https://example.com/path'
+        },
+        'uri-reference': {
+            description: 'URI or relative reference',
+            example: '/path/to/resource'
+        },
+        'iri': {
+            description: 'Internationalized URI',
+            example: 'https://例え.jp/path'
+        },
+        'iri-reference': {
+            description: 'Internationalized URI reference',
+            example: '/パス/リソース'
+        },
+
+        // Templates and Pointers
+        'uri-template': {
+            description: 'URI Template',
+            example: '/users/{id}/posts{?limit}'
+        },
+        'json-pointer': {
+            description: 'JSON Pointer',
+            example: '/foo/bar/0'
+        },
+        'relative-json-pointer': {
+            description: 'Relative JSON Pointer',
+            example: '0/foo/bar'
+        },
+
+        // Regular Expressions
+        'regex': {
+            description: 'Regular expression',
+            example: '^[a-z]+$'
+        }
+    };
+
+    // Overrides for renderDocument: open the collapsible lists and hide their toggles
+    static STATIC_PAGE_CSS = `
+.enum-list { display: block; position: static; box-shadow: none; border: none; padding: 0; margin: 0; max-height: none; animation: none; }
+.additional-content { max-height: none; opacity: 1; margin-top: 4px; padding: 8px; }
+.enum-toggle, .additional-info { display: none; }
+`;
+
+    // Download formats offered next to the export buttons
+    static EXPORT_FORMATS = {
+        excel: { label: 'Excel', extension: 'xlsx' },
+        excelSheets: { label: 'Excel', extension: 'xlsx', sheetPerCategory: true },
+        csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+        tsv: { label: 'TSV', extension: 'tsv', mimeType: 'text/tab-separated-values' },
+        markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+        json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+        html: { label: 'HTML', extension: 'html', mimeType: 'text/html' }
+    };
+
+    constructor(columnManager) {
+        this.columnManager = columnManager;
+    }
+
+    getFormatDescription(format) {
+        return TableRenderer.FORMAT_DESCRIPTIONS[format] || null;
+    }
+
+    formatType(schema) {
+        if (Array.isArray(schema.type)) {
+            return schema.type.join(' | ');
+        }
+        if (schema.type) return schema.type;
+
+        const alternatives = this.getAlternatives(schema);
+        if (alternatives) {
+            return `${alternatives.label}: ${alternatives.branches.map(b => this.formatType(b)).join(' | ')}`;
+        }
+
+        // A bare const (typical for missing-value codes) still has an obvious type
+        if (schema.const !== undefined && schema.const !== null) {
+            if (typeof schema.const === 'number') {
+                return Number.isInteger(schema.const) ? 'integer' : 'number';
+            }
+            return typeof schema.const;
+        }
+        return 'any';
+    }
+
+    /**
+     * Get the oneOf / anyOf branches of a schema, with a display label
+     * @param {Object} schema
+     * @returns {{ keyword: string, label: string, branches: Object[] }|null}
+     */
+    getAlternatives(schema) {
+        if (Array.isArray(schema.oneOf) && schema.oneOf.length > 0) {
+            return { keyword: 'oneOf', label: 'one of', branches: schema.oneOf };
+        }
+        if (Array.isArray(schema.anyOf) && schema.anyOf.length > 0) {
+            return { keyword: 'anyOf', label: 'any of', branches: schema.anyOf };
+        }
+        return null;
+    }
+
+    /**
+     * List the values each alternative allows, for the Valid Values column.
+     * const and enum branches give their values; open-ended branches (e.g. any
+     * integer >= 0) are listed by type so no alternative disappears.
+     * @param {{ branches: Object[] }} alternatives - From getAlternatives()
+     * @returns {Array<{ value: string, label: string, isType: boolean }>}
+     */
+    getAlternativeValues(alternatives) {
+        const entries = [];
+        for (const branch of alternatives.branches) {
+            const label = branch.description || branch.title || '';
+            if (branch.const !== undefined) {
+                entries.push({ value: String(branch.const), label, isType: false });
+            } else if (Array.isArray(branch.enum)) {
+                const hasDescriptions = Array.isArray(branch.enumDescriptions) &&
+                    branch.enumDescriptions.length === branch.enum.length;
+                branch.enum.forEach((value, index) => {
+                    entries.push({
+                        value: String(value),
+                        label: hasDescriptions ? branch.enumDescriptions[index] : label,
+                        isType: false
+                    });
+                });
+            } else {
+                // Without a description, the branch's own constraints say what it allows
+                const branchLabel = label || this.formatConstraintsColumn({ required: false }, branch).join(', ');
+                entries.push({ value: this.formatType(branch), label: branchLabel, isType: true });
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Describe where a $ref-resolved property came from
+     * @param {Object} prop - Property object from SchemaProcessor.extractProperties
+     * @returns {string} e.g. "via #/$defs/isoDate", or '' when no $ref was followed
+     */
+    formatRefSource(prop) {
+        const parts = [];
+        if (prop.refSource) parts.push(`via ${prop.refSource}`);
+        if (prop.itemsRefSource) parts.push(`items via ${prop.itemsRefSource}`);
+        return parts.join('; ');
+    }
+
+    formatValue(value, isJson = false) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        if (typeof value === 'boolean') {
+            return value ? 'true' : 'false';
+        }
+
+        if (typeof value === 'object') {
+            const json = JSON.stringify(value, null, 2);
+            if (json.length > 100) {
+                return `<span class="cell-value-json" title="${this.escapeHtml(json)}">${this.escapeHtml(json.substring(0, 100))}...</span>`;
+            }
+            return `<span class="cell-value-json">${this.escapeHtml(json)}</span>`;
+        }
+
+        if (isJson) {
+            return `<span class="cell-value-json">${this.escapeHtml(String(value))}</span>`;
+        }
+
+        return this.escapeHtml(String(value));
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Format constraint information from schema into an array of strings
+     * @param {Object} prop - Property object with name and required flag
+     * @param {Object} schema - JSON Schema object
+     * @returns {Array<string>} Array of constraint strings
+     */
+    formatConstraintsColumn(prop, schema) {
+        const constraints = [];
+
+        // Add required status
+        if (prop.required) {
+            constraints.push('Required');
+        }
+
+        // Conditional rules from if/then/else, dependentRequired and dependentSchemas
+        if (prop.conditions) {
+            constraints.push(...prop.conditions);
+        }
+
+        // Range constraints
+        if (schema.minimum !== undefined || schema.maximum !== undefined ||
+            schema.exclusiveMinimum !== undefined || schema.exclusiveMaximum !== undefined) {
+            let min = '';
+            let max = '';
+
+            if (schema.minimum !== undefined) {
+                min = schema.minimum;
+            } else if (schema.exclusiveMinimum !== undefined) {
+                min = `>${schema.exclusiveMinimum}`;
+            }
+
+            if (schema.maximum !== undefined) {
+                max = schema.maximum;
+            } else if (schema.exclusiveMaximum !== undefined) {
+                max = `<${schema.exclusiveMaximum}`;
+            }
+
+            if (min !== '' || max !== '') {
+                const rangeStr = min !== '' && max !== '' ? `${min}-${max}` : `${min}${max}`;
+                constraints.push(`Range: ${rangeStr}`);
+            }
+        }
+
+        // Length constraints
+        if (schema.minLength !== undefined || schema.maxLength !== undefined) {
+            if (schema.minLength === schema.maxLength) {
+                constraints.push(`${schema.minLength} chars`);
+            } else {
+                const minLen = schema.minLength || '0';
+                const maxLen = schema.maxLength || '∞';
+                constraints.push(`${minLen}-${maxLen} chars`);
+            }
+        }
+
+        // Pattern
+        if (schema.pattern) {
+            // Truncate long patterns
+            const pattern = schema.pattern.length > 30 ?
+                schema.pattern.substring(0, 30) + '...' : schema.pattern;
+            constraints.push(`Pattern: ${pattern}`);
+        }
+
+        // Multiple of
+        if (schema.multipleOf) {
+            constraints.push(`Multiple of ${schema.multipleOf}`);
+        }
+
+        // Items constraints
+        if (schema.minItems !== undefined || schema.maxItems !== undefined) {
+            if (schema.minItems === schema.maxItems) {
+                constraints.push(`${schema.minItems} items`);
+            } else {
+                const minItems = schema.minItems || '0';
+                const maxItems = schema.maxItems || '∞';
+                constraints.push(`${minItems}-${maxItems} items`);
+            }
+        }
+
+        // Unique items
+        if (schema.uniqueItems) {
+            constraints.push('Unique items');
+        }
+
+        // Tuple items, described position by position
+        if (Array.isArray(schema.prefixItems)) {
+            schema.prefixItems.forEach((item, index) => {
+                const node = item && typeof item === 'object' ? item : {};
+                const details = [this.formatType(node), ...this.formatConstraintsColumn({ required: false }, node)];
+                constraints.push(`Item ${index + 1}: ${details.join(', ')}`);
+            });
+            if (schema.items === false) {
+                constraints.push('No further items');
+            }
+        }
+
+        // Items that must be present somewhere in the array
+        if (schema.contains && typeof schema.contains === 'object') {
+            const min = schema.minContains ?? 1;
+            const max = schema.maxContains;
+            const count = max === undefined ? `at least ${min}` : min === max ? `exactly ${min}` : `${min}-${max}`;
+            const details = [this.formatType(schema.contains), ...this.formatConstraintsColumn({ required: false }, schema.contains)];
+            constraints.push(`Contains ${count} item${(max ?? min) === 1 ? '' : 's'}: ${details.join(', ')}`);
+        }
+
+        // Properties constraints
+        if (schema.minProperties !== undefined || schema.maxProperties !== undefined) {
+            if (schema.minProperties === schema.maxProperties) {
+                constraints.push(`${schema.minProperties} properties`);
+            } else {
+                const minProps = schema.minProperties || '0';
+                const maxProps = schema.maxProperties || '∞';
+                constraints.push(`${minProps}-${maxProps} properties`);
+            }
+        }
+
+        // Const value constraint
+        if (schema.const !== undefined) {
+            constraints.push(`Const: ${schema.const}`);
+        }
+
+        // Constraints of each oneOf / anyOf branch, numbered to match the Data Type column
+        const alternatives = this.getAlternatives(schema);
+        if (alternatives) {
+            alternatives.branches.forEach((branch, index) => {
+                const branchConstraints = this.formatConstraintsColumn({ required: false }, branch)
+                    .filter(c => !c.startsWith('Const: '));
+                if (branchConstraints.length > 0) {
+                    constraints.push(`Option ${index + 1}: ${branchConstraints.join(', ')}`);
+                }
+            });
+        }
+
+        return constraints;
+    }
+
+    formatEnum(schema) {
+        if (!schema.enum) return '';
+
+        const hasDescriptions = schema.enumDescriptions &&
+            Array.isArray(schema.enumDescriptions) &&
+            schema.enumDescriptions.length === schema.enum.length;
+
+        const enumId = 'enum_' + Math.random().toString(36).substr(2, 9);
+
+        let html = `<div class="enum-container">
+            <span class="enum-toggle" onclick="toggleEnum('${enumId}')">
+                ${schema.enum.length} values ▼
+            </span>
+            <div id="${enumId}" class="enum-list">`;
+
+        schema.enum.forEach((value, index) => {
+            const desc = hasDescriptions ? schema.enumDescriptions[index] : '';
+            html += `<div class="enum-item">
+                <div class="enum-value">${this.escapeHtml(String(value))}</div>
+                ${desc ? `<div class="enum-desc">${this.escapeHtml(desc)}</div>` : ''}
+            </div>`;
+        });
+
+        html += `</div></div>`;
+        return html;
+    }
+
+    /**
+     * Render oneOf / anyOf alternatives as a collapsible list, like formatEnum
+     * @param {Object} schema
+     * @returns {string} HTML
+     */
+    formatAlternatives(schema) {
+        const alternatives = this.getAlternatives(schema);
+        if (!alternatives) return '';
+
+        const entries = this.getAlternativeValues(alternatives);
+        const enumId = 'enum_' + Math.random().toString(36).substr(2, 9);
+
+        let html = `<div class="enum-container">
+            <span class="enum-toggle" onclick="toggleEnum('${enumId}')">
+                ${alternatives.label}: ${alternatives.branches.length} options ▼
+            </span>
+            <div id="${enumId}" class="enum-list">`;
+
+        for (const { value, label, isType } of entries) {
+            html += `<div class="enum-item">
+                <div class="enum-value${isType ? ' enum-value-type' : ''}">${this.escapeHtml(value)}</div>
+                ${label ? `<div class="enum-desc">${this.escapeHtml(label)}</div>` : ''}
+            </div>`;
+        }
+
+        html += `</div></div>`;
+        return html;
+    }
+
+    formatCellValue(keyword, prop, schema) {
+        switch (keyword) {
+            case 'name': {
+                // Nested object children show their parent path, indented under the parent row
+                const depth = prop.depth || 0;
+                const path = prop.path || prop.name;
+                const prefix = path.slice(0, path.length - prop.name.length);
+                const indent = depth > 0 ? ` style="margin-left:${depth * 16}px"` : '';
+                return `<span class="variable-name${depth > 0 ? ' nested' : ''}"${indent}>` +
+                    (prefix ? `<span class="variable-path-prefix">${this.escapeHtml(prefix)}</span>` : '') +
+                    `${this.escapeHtml(prop.name)}</span>`;
+            }
+
+            case 'description':
+                return schema.description || '';
+
+            case 'type': {
+                const refSource = this.formatRefSource(prop);
+                return `<span class="data-type">${this.formatType(schema)}</span>` +
+                    (refSource ? `<div class="ref-source">${this.escapeHtml(refSource)}</div>` : '');
+            }
+
+            case 'enum':
+                if (schema.const !== undefined) {
+                    return `<span class="const-value">${this.escapeHtml(String(schema.const))}</span>`;
+                }
+                return schema.enum ? this.formatEnum(schema) : this.formatAlternatives(schema);
+
+            case 'constraints':
+                const constraints = this.formatConstraintsColumn(prop, schema);
+                return constraints.map(c => `<span class="constraint">${this.escapeHtml(c)}</span>`).join(' ');
+
+            case 'default':
+                return schema.default !== undefined ?
+                    this.formatValue(schema.default, true) : '';
+
+            case 'format':
+                if (!schema.format) return '';
+
+                const formatInfo = this.getFormatDescription(schema.format);
+                if (formatInfo) {
+                    // Built-in format with description
+                    return `<div class="format-info">
+                        <span class="format-name">${schema.format}</span>
+                        <div class="format-details">
+                            <span class="format-description">${formatInfo.description}</span>
+                            <span class="format-example">e.g., ${this.escapeHtml(formatInfo.example)}</span>
+                        </div>
+                    </div>`;
+                } else {
+                    // Custom format
+                    return `<div class="format-info">
+                        <span class="format-name custom">${schema.format}</span>
+                        <span class="format-custom-label">(custom)</span>
+                    </div>`;
+                }
+
+            case 'deprecated':
+            case 'readOnly':
+            case 'writeOnly':
+                return schema[keyword] === true ?
+                    '<span class="required-badge">Yes</span>' : '';
+
+            case 'title':
+                return schema.title || '';
+
+            case 'examples':
+                if (schema.examples && Array.isArray(schema.examples)) {
+                    return this.formatValue(schema.examples, true);
+                }
+                return '';
+
+            case 'additionalInfo':
+                return this.formatAdditionalInfo(prop, schema);
+
+            case 'validation':
+                return this.formatValidation(prop);
+
+            default:
+                // For any other keyword, display its value if it exists
+                if (schema[keyword] !== undefined) {
+                    return this.formatValue(schema[keyword]);
+                }
+                return '';
+        }
+    }
+
+    /**
+     * Summarise data-file validation results for one variable
+     * @param {Object} prop - Property object carrying DataValidator stats in prop.validation
+     * @returns {string} HTML
+     */
+    formatValidation(prop) {
+        const stats = prop.validation;
+        if (!stats) return '';
+
+        if (stats.invalid === 0 && stats.missing === 0) {
+            return stats.checked > 0
+                ? `<span class="validation-ok">✓ ${stats.checked} OK</span>`
+                : '<span class="validation-none">No values</span>';
+        }
+
+        const parts = [];
+        if (stats.invalid > 0) parts.push(`<span class="validation-errors">${stats.invalid} invalid</span>`);
+        if (stats.missing > 0) parts.push(`<span class="validation-missing">${stats.missing} missing</span>`);
+        const examples = stats.examples.length > 0
+            ? `<div class="validation-examples">e.g. ${stats.examples.map(e => this.escapeHtml(e)).join(', ')}</div>`
+            : '';
+        return parts.join(' ') + examples;
+    }
+
+    /**
+     * Plain-text version of formatValidation for the exports
+     * @param {Object} prop
+     * @returns {string}
+     */
+    formatValidationForExport(prop) {
+        const stats = prop.validation;
+        if (!stats) return '';
+        if (stats.invalid === 0 && stats.missing === 0) {
+            return stats.checked > 0 ? `OK (${stats.checked} values)` : 'No values';
+        }
+
+        const lines = [];
+        if (stats.invalid > 0) lines.push(`${stats.invalid} invalid`);
+        if (stats.missing > 0) lines.push(`${stats.missing} missing required`);
+        if (stats.examples.length > 0) lines.push(`Examples: ${stats.examples.join(', ')}`);
+        return lines.join('\n');
+    }
+
+    formatAdditionalInfo(prop, schema) {
+        // Get currently displayed columns
+        const displayedColumns = this.columnManager.getSelectedColumns();
+
+        // Collect all other keywords not in displayed columns or excluded
+        const additionalData = {};
+        for (const [key, value] of Object.entries(schema)) {
+            if (!SchemaProcessor.EXCLUDED_KEYWORDS.has(key) &&
+                !displayedColumns.includes(key) &&
+                value !== undefined && value !== null) {
+                additionalData[key] = value;
+            }
+        }
+
+        if (Object.keys(additionalData).length === 0) {
+            return '';
+        }
+
+        // Create a collapsible section for additional info
+        const addId = 'add_' + Math.random().toString(36).substr(2, 9);
+        const items = Object.entries(additionalData).map(([k, v]) => {
+            let displayValue;
+            if (typeof v === 'object') {
+                displayValue = JSON.stringify(v, null, 2);
+            } else {
+                displayValue = String(v);
+            }
+            return `<div class="property"><strong>${this.columnManager.formatKeywordDisplay(k)}:</strong> ${this.escapeHtml(displayValue)}</div>`;
+        }).join('');
+
+        return `<span class="additional-info" onclick="toggleAdditional('${addId}')">
+            ${Object.keys(additionalData).length} properties...
+        </span>
+        <div id="${addId}" class="additional-content">
+            ${items}
+        </div>`;
+    }
+
+    /**
+     * Format enum values for export (CSV/Excel)
+     * @param {Object} schema - The schema object
+     * @param {string} format - Output format: 'csv' or 'excel'
+     * @returns {string} Formatted enum values
+     */
+    formatEnumForExport(schema, format = 'csv') {
+        if (!schema.enum) return this.formatAlternativesForExport(schema, format);
+
+        const hasDescriptions = schema.enumDescriptions &&
+            Array.isArray(schema.enumDescriptions) &&
+            schema.enumDescriptions.length === schema.enum.length;
+
+        const prefix = format === 'excel' ? '• ' : '';
+        const separator = hasDescriptions ? ': ' : '';
+
+        if (hasDescriptions) {
+            return schema.enum.map((value, index) =>
+                `${prefix}${value}${separator}${schema.enumDescriptions[index]}`
+            ).join('\n');
+        } else {
+            return schema.enum.map(value => `${prefix}${value}`).join(format === 'excel' ? '\n' : '\n');
+        }
+    }
+
+    /**
+     * The coded values a variable allows, in schema order: enum values (labelled by
+     * enumDescriptions), a const, or the const / enum branches of oneOf / anyOf (labelled
+     * by their title or description). Arrays without codes of their own give their items' codes.
+     * @param {Object} schema - The schema object
+     * @returns {Array<{ code: *, label: string }>}
+     */
+    getCodeList(schema) {
+        const codes = [];
+        const addEnum = (source, label) => {
+            const hasDescriptions = Array.isArray(source.enumDescriptions) &&
+                source.enumDescriptions.length === source.enum.length;
+            source.enum.forEach((code, index) => {
+                codes.push({ code, label: hasDescriptions ? String(source.enumDescriptions[index]) : label });
+            });
+        };
+
+        if (schema.const !== undefined) {
+            codes.push({ code: schema.const, label: schema.title || schema.description || '' });
+        } else if (Array.isArray(schema.enum)) {
+            addEnum(schema, '');
+        } else {
+            const alternatives = this.getAlternatives(schema);
+            for (const branch of alternatives?.branches || []) {
+                const label = branch.title || branch.description || '';
+                if (branch.const !== undefined) codes.push({ code: branch.const, label });
+                else if (Array.isArray(branch.enum)) addEnum(branch, label);
+            }
+        }
+
+        if (codes.length === 0 && schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)) {
+            return this.getCodeList(schema.items);
+        }
+        return codes;
+    }
+
+    /**
+     * Format oneOf / anyOf alternatives for export (CSV/Excel)
+     * @param {Object} schema - The schema object
+     * @param {string} format - Output format: 'csv' or 'excel'
+     * @returns {string} A label line followed by one line per value
+     */
+    formatAlternativesForExport(schema, format = 'csv') {
+        const alternatives = this.getAlternatives(schema);
+        if (!alternatives) return '';
+
+        const prefix = format === 'excel' ? '• ' : '';
+        const lines = this.getAlternativeValues(alternatives).map(({ value, label }) =>
+            `${prefix}${value}${label ? `: ${label}` : ''}`
+        );
+        return [`${alternatives.label[0].toUpperCase()}${alternatives.label.slice(1)}:`, ...lines].join('\n');
+    }
+
+    /**
+     * Format additional info for export (CSV/Excel)
+     * @param {Object} prop - The property object
+     * @param {Object} schema - The schema object
+     * @returns {string} Formatted additional info
+     */
+    formatAdditionalInfoForExport(prop, schema) {
+        // Get currently displayed columns
+        const displayedColumns = this.columnManager.getSelectedColumns();
+
+        // Collect all other keywords not in displayed columns or excluded
+        const additionalData = [];
+        for (const [key, value] of Object.entries(schema)) {
+            if (!SchemaProcessor.EXCLUDED_KEYWORDS.has(key) &&
+                !displayedColumns.includes(key) &&
+                value !== undefined && value !== null) {
+                const displayValue = typeof value === 'object' ?
+                    JSON.stringify(value, null, 2) : String(value);
+                additionalData.push(`${this.columnManager.formatKeywordDisplay(key)}: ${displayValue}`);
+            }
+        }
+
+        return additionalData.join('\n');
+    }
+
+    /**
+     * Render the data dictionary as an HTML table
+     * @param {Object} data - Processed schema data with properties array
+     * @param {Array<string>} selectedColumns - Optional array of column keywords to display
+     * @returns {string} HTML string for the table
+     */
+    /**
+     * Whether a variable's row checkbox is ticked. Nothing is selected outside the browser UI.
+     * @param {string} key - Row key (SchemaProcessor.assignRowKeys)
+     * @returns {boolean}
+     */
+    isSelected(key) {
+        return false;
+    }
+
+    /**
+     * @param {Object} data - Processed schema data with properties array
+     * @param {Array<string>} selectedColumns - Optional array of column keywords to show
+     * @param {{ interactive?: boolean, selectable?: boolean }} options - interactive: false leaves
+     *   out the search box, category filter and row checkboxes, for a static page; selectable: false
+     *   leaves out just the row checkboxes
+     * @returns {string} HTML
+     */
+    render(data, selectedColumns = null, { interactive = true, selectable = interactive } = {}) {
+        if (!data) return '<div class="error-message">No valid schema data to display</div>';
+
+        const columns = selectedColumns || this.columnManager.getSelectedColumns();
+        const hasCategories = data.properties.some(p => p.category);
+
+        // Collect unique categories for filter dropdown
+        const categories = hasCategories
+            ? [...new Set(data.properties.map(p => p.category)
+                .filter(c => c && !c.endsWith('— array items')))]
+            : [];
+
+        let html = `<div class="table-container">
+            <div class="table-header">
+                <div class="table-title">${data.title}</div>
+                ${data.description ? `<div class="subtitle" style="margin-top:4px;">${data.description}</div>` : ''}
+                ${data.draft ? `<div class="table-draft">JSON Schema ${this.escapeHtml(data.draft)}</div>` : ''}
+            </div>`;
+
+        // Category filter + collapse controls (only when there are multiple categories)
+        if (interactive && categories.length > 1) {
+            html += `<div class="category-filter-wrapper">
+                <span class="category-filter-label">Show category:</span>
+                <select class="category-filter-select" id="categoryFilter" onchange="applyFilters()">
+                    <option value="ALL">All categories</option>
+                    ${categories.map(c => `<option value="${this.escapeHtml(c)}">${this.escapeHtml(c)}</option>`).join('')}
+                </select>
+                <button class="btn-collapse-all" onclick="collapseAllCategories(true)"  title="Collapse all sections">Collapse all</button>
+                <button class="btn-collapse-all" onclick="collapseAllCategories(false)" title="Expand all sections">Expand all</button>
+            </div>`;
+        }
+
+        if (interactive) {
+            html += `<div class="search-box">
+                <input type="text" class="search-input" id="searchInput"
+                       placeholder="Search variables..." oninput="applyFilters()">
+            </div>`;
+        }
+
+        html += `<div class="table-scroll-wrapper">
+                <table id="dataTable">
+                    <thead>
+                        <tr>`;
+        if (selectable) {
+            html += `<th class="cb-col">
+                                <input type="checkbox" class="var-checkbox" id="selectAllCb"
+                                       onclick="selectAllRows(this.checked)" title="Select / deselect all">
+                            </th>`;
+        }
+
+        for (const col of columns) {
+            const def = this.columnManager.getColumnDefinition(col);
+            html += `<th class="col-${col}">${def.display}</th>`;
+        }
+
+        html += `</tr></thead><tbody>`;
+
+        let lastCategory = null;
+        let lastArrayParent = null;
+        for (const prop of data.properties) {
+            // Category header row
+            if (hasCategories && prop.category && prop.category !== lastCategory) {
+                const catKey = this.escapeHtml(prop.category);
+                html += interactive ? `<tr class="category-row" data-cat="${catKey}">
+                    ${selectable ? `<td class="cb-col">
+                        <input type="checkbox" class="var-checkbox"
+                               onclick="selectSection(this.closest('tr').dataset.cat, this.checked)"
+                               title="Select all in this section">
+                    </td>` : ''}
+                    <td colspan="${columns.length}">
+                        <span class="category-toggle" onclick="toggleCategory(this.closest('tr').dataset.cat)">▼</span>
+                        ${prop.category}
+                    </td>
+                </tr>` : `<tr class="category-row" data-cat="${catKey}">
+                    <td colspan="${columns.length}">${prop.category}</td>
+                </tr>`;
+                lastCategory = prop.category;
+                lastArrayParent = null; // reset sub-header when category changes
+            }
+
+            // Array items sub-header — visual grouping within the same category section
+            const curArrayParent = prop.arrayParent || null;
+            if (curArrayParent !== lastArrayParent) {
+                lastArrayParent = curArrayParent;
+                if (curArrayParent) {
+                    const catAttrStr = prop.category ? ` data-cat="${this.escapeHtml(prop.category)}"` : '';
+                    html += `<tr class="array-subheader-row"${catAttrStr}>
+                        ${selectable ? '<td class="cb-col"></td>' : ''}
+                        <td colspan="${columns.length}" class="array-subheader-cell">&#x21B3; ${this.escapeHtml(curArrayParent)} — array items</td>
+                    </tr>`;
+                }
+            }
+
+            const rowKey = prop.key || prop.path || prop.name;
+            const catAttr = prop.category ? ` data-cat="${this.escapeHtml(prop.category)}"` : '';
+            const isChecked = this.isSelected(rowKey) ? ' checked' : '';
+
+            html += `<tr class="data-row"${catAttr} data-key="${this.escapeHtml(rowKey)}">`;
+            if (selectable) {
+                html += `<td class="cb-col">
+                    <input type="checkbox" class="var-checkbox"${isChecked}
+                           onclick="toggleRowSelection(this.closest('tr').dataset.key, this.checked)">
+                </td>`;
+            }
+
+            for (const col of columns) {
+                const cellValue = this.formatCellValue(col, prop, prop.schema);
+                html += `<td class="cell-${col}">${cellValue}</td>`;
+            }
+
+            html += `</tr>`;
+        }
+
+        html += `</tbody></table></div></div>`;
+        return html;
+    }
+
+    /**
+     * A self-contained HTML page with the dictionary as a static table: every value list
+     * is expanded, and there are no controls that would need app.js
+     * @param {Object} data - Processed schema data with properties array
+     * @param {Array<string>} selectedColumns - Optional array of column keywords to show
+     * @param {string} css - Stylesheet to inline (styles.css)
+     * @returns {string} HTML document
+     */
+    renderDocument(data, selectedColumns = null, css = '') {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${this.escapeHtml(data.title || 'Data Dictionary')}</title>
+<style>
+${css}
+${TableRenderer.STATIC_PAGE_CSS}
+</style>
+</head>
+<body>
+<div class="container">
+${this.render(data, selectedColumns, { interactive: false })}
+</div>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * A self-contained HTML page with the searchable table: category filter, collapsible
+     * sections and value lists, but no row selection. Needs no other files or network access.
+     * @param {Object} data - Processed schema data with properties array
+     * @param {Array<string>} selectedColumns - Optional array of column keywords to show
+     * @param {string} css - Stylesheets to inline
+     * @param {string} script - Page behaviours to inline (applyFilters, toggleCategory, toggleEnum, ...)
+     * @returns {string} HTML document
+     */
+    renderInteractiveDocument(data, selectedColumns = null, css = '', script = '') {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${this.escapeHtml(data.title || 'Data Dictionary')}</title>
+<style>
+${css}
+</style>
+</head>
+<body>
+<div class="container">
+${this.render(data, selectedColumns, { interactive: true, selectable: false })}
+</div>
+<script>
+${script.replace(/<\/script/gi, '<\\/script')}
+</script>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Printable codebook: a cover page, a table of contents, then one static table per
+     * category, each starting on a new page. Laid out by the @media print rules in styles.css.
+     * @param {Object} data - Processed schema data with properties array
+     * @param {Array<string>} selectedColumns - Optional array of column keywords to show
+     * @param {{ sources?: string[], generatedAt?: Date }} options - Source file names and date for the cover page
+     * @returns {string} HTML
+     */
+    renderPrintView(data, selectedColumns = null, { sources = [], generatedAt = new Date() } = {}) {
+        const sections = new Map();
+        for (const prop of data.properties) {
+            const title = prop.category || data.title;
+            if (!sections.has(title)) sections.set(title, []);
+            sections.get(title).push(prop);
+        }
+
+        const date = generatedAt.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+        let html = `<div class="print-cover">
+            <h1>${this.escapeHtml(data.title || 'Data Dictionary')}</h1>
+            ${data.description ? `<p class="print-description">${this.escapeHtml(data.description)}</p>` : ''}
+            <dl class="print-meta">
+                <dt>Variables</dt><dd>${data.properties.length}</dd>
+                ${data.draft ? `<dt>JSON Schema</dt><dd>${this.escapeHtml(data.draft)}</dd>` : ''}
+                ${sources.length > 0 ? `<dt>Source files</dt><dd>${sources.map(s => this.escapeHtml(s)).join('<br>')}</dd>` : ''}
+                <dt>Generated</dt><dd>${date}</dd>
+            </dl>
+        </div>`;
+
+        html += `<nav class="print-toc"><h2>Contents</h2><ol>`;
+        let index = 0;
+        for (const [title, properties] of sections) {
+            index++;
+            html += `<li><a href="#print-section-${index}">${this.escapeHtml(title)}</a>
+                <span class="print-toc-count">${properties.length} variable${properties.length === 1 ? '' : 's'}</span></li>`;
+        }
+        html += `</ol></nav>`;
+
+        index = 0;
+        for (const [title, properties] of sections) {
+            index++;
+            html += `<section class="print-section" id="print-section-${index}">
+                ${this.render({ title: this.escapeHtml(title), properties }, selectedColumns, { interactive: false })}
+            </section>`;
+        }
+        return html;
+    }
+
+    /**
+     * Format one column of a property for the exports
+     * @param {string} col - Column keyword
+     * @param {Object} prop - Property object from SchemaProcessor.extractProperties
+     * @param {string} format - 'csv' (also used for TSV and Markdown) or 'excel'
+     * @returns {string}
+     */
+    formatExportValue(col, prop, format = 'csv') {
+        const schema = prop.schema;
+
+        switch (col) {
+            case 'name':
+                return prop.path || prop.name;
+            case 'description':
+                return schema.description || '';
+            case 'type': {
+                const type = this.formatType(schema);
+                const refSource = this.formatRefSource(prop);
+                if (!refSource) return type;
+                return format === 'excel' ? `${type}\n${refSource}` : `${type} (${refSource})`;
+            }
+            case 'enum':
+                return schema.const !== undefined ?
+                    String(schema.const) :
+                    this.formatEnumForExport(schema, format);
+            case 'format': {
+                if (!schema.format) return '';
+                const formatInfo = this.getFormatDescription(schema.format);
+                if (!formatInfo) return `${schema.format} (custom)`;
+                return format === 'excel' ?
+                    `${schema.format}\n${formatInfo.description}\nExample: ${formatInfo.example}` :
+                    `${schema.format} - ${formatInfo.description} (e.g., ${formatInfo.example})`;
+            }
+            case 'constraints':
+                return this.formatConstraintsColumn(prop, schema).join('\n');
+            case 'additionalInfo':
+                return this.formatAdditionalInfoForExport(prop, schema);
+            case 'validation':
+                return this.formatValidationForExport(prop);
+            default:
+                if (schema[col] === undefined) return '';
+                if (format === 'excel') {
+                    return typeof schema[col] === 'object' ?
+                        JSON.stringify(schema[col], null, 2) :
+                        String(schema[col]);
+                }
+                return JSON.stringify(schema[col]);
+        }
+    }
+
+    /**
+     * Build the header and data rows shared by the CSV, TSV and Markdown exports
+     * @param {Object} data - Processed schema data with properties array
+     * @param {Array<string>} columns - Column keywords to export
+     * @returns {Array<Array<string>>} Header row followed by one row per property
+     */
+    getExportRows(data, columns) {
+        const headers = ['Category'];
+
+        // Add headers for selected columns
+        for (const col of columns) {
+            const def = this.columnManager.getColumnDefinition(col);
+            headers.push(def.display);
+        }
+
+        const rows = [headers];
+
+        let currentCategory = '';
+        for (const prop of data.properties) {
+            if (prop.category && prop.category !== currentCategory) {
+                currentCategory = prop.category;
+            }
+
+            rows.push([
+                currentCategory || '',
+                ...columns.map(col => this.formatExportValue(col, prop, 'csv'))
+            ]);
+        }
+
+        return rows;
+    }
+
+    exportToCSV(data, selectedColumns = null) {
+        if (!data) return '';
+
+        const columns = selectedColumns || this.columnManager.getSelectedColumns();
+        const rows = this.getExportRows(data, columns);
+
+        // Format for Excel with proper escaping
+        return rows.map(row =>
+            row.map(cell => {
+                const cellStr = String(cell).replace(/"/g, '""');
+                // Always quote cells that contain newlines, commas, or quotes
+                if (cellStr.includes('\n') || cellStr.includes(',') || cellStr.includes('"')) {
+                    return `"${cellStr}"`;
+                }
+                return cellStr;
+            }).join(',')
+        ).join('\n');
+    }
+
+    /**
+     * Export as tab-separated values. TSV has no quoting, so tabs and line
+     * breaks inside a cell become spaces and "; " respectively.
+     * @param {Object} data - Processed schema data with properties array
+     * @param {Array<string>} selectedColumns - Optional array of column keywords to export
+     * @returns {string}
+     */
+    exportToTSV(data, selectedColumns = null) {
+        if (!data) return '';
+
+        const columns = selectedColumns || this.columnManager.getSelectedColumns();
+        return this.getExportRows(data, columns).map(row =>
+            row.map(cell => String(cell).replace(/\t/g, ' ').replace(/\r?\n/g, '; ')).join('\t')
+        ).join('\n');
+    }
+
+    /**
+     * Export as GitHub-flavored Markdown: one table per category under its own heading
+     * @param {Object} data - Processed schema data with properties array
+     * @param {Array<string>} selectedColumns - Optional array of column keywords to export
+     * @returns {string}
+     */
+    exportToMarkdown(data, selectedColumns = null) {
+        if (!data) return '';
+
+        const columns = selectedColumns || this.columnManager.getSelectedColumns();
+        const [headers, ...rows] = this.getExportRows(data, columns);
+        const cell = value => String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+        const tableHeader = [
+            `| ${headers.slice(1).map(cell).join(' | ')} |`,
+            `|${headers.slice(1).map(() => '---').join('|')}|`
+        ];
+
+        const lines = [`# ${data.title || 'Data Dictionary'}`, ''];
+        if (data.description) lines.push(data.description, '');
+
+        let currentCategory = null;
+        rows.forEach(([category, ...values]) => {
+            if (category !== currentCategory) {
+                if (currentCategory !== null) lines.push('');
+                if (category) lines.push(`## ${category}`, '');
+                lines.push(...tableHeader);
+                currentCategory = category;
+            }
+            lines.push(`| ${values.map(cell).join(' | ')} |`);
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Export a machine-readable dictionary: one object per variable holding its
+     * category and path plus the selected columns as structured values.
+     * @param {Object} data - Processed schema data with properties array
+     * @param {Array<string>} selectedColumns - Optional array of column keywords to export
+     * @returns {string} Pretty-printed JSON
+     */
+    exportToJSON(data, selectedColumns = null) {
+        if (!data) return '';
+
+        const columns = selectedColumns || this.columnManager.getSelectedColumns();
+        const displayedColumns = this.columnManager.getSelectedColumns();
+        const constraintKeywords = [
+            'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'minLength', 'maxLength',
+            'pattern', 'multipleOf', 'minItems', 'maxItems', 'uniqueItems', 'minProperties', 'maxProperties'
+        ];
+
+        const variables = data.properties.map(prop => {
+            const schema = prop.schema;
+            const entry = { category: prop.category || null, path: prop.path || prop.name };
+
+            for (const col of columns) {
+                switch (col) {
+                    case 'name':
+                        entry.name = prop.name;
+                        break;
+                    case 'description':
+                        entry.description = schema.description || '';
+                        break;
+                    case 'type':
+                        entry.type = schema.type ?? this.formatType(schema);
+                        if (prop.refSource) entry.ref = prop.refSource;
+                        break;
+                    case 'enum':
+                        if (schema.const !== undefined) {
+                            entry.const = schema.const;
+                        } else if (Array.isArray(schema.enum)) {
+                            const hasDescriptions = Array.isArray(schema.enumDescriptions) &&
+                                schema.enumDescriptions.length === schema.enum.length;
+                            entry.values = schema.enum.map((value, index) => ({
+                                value,
+                                description: hasDescriptions ? schema.enumDescriptions[index] : null
+                            }));
+                        } else {
+                            const alternatives = this.getAlternatives(schema);
+                            if (alternatives) {
+                                entry.alternatives = {
+                                    kind: alternatives.keyword,
+                                    values: this.getAlternativeValues(alternatives).map(({ value, label, isType }) => ({
+                                        value, description: label || null, isType
+                                    }))
+                                };
+                            }
+                        }
+                        break;
+                    case 'constraints': {
+                        entry.required = !!prop.required;
+                        const raw = {};
+                        for (const keyword of constraintKeywords) {
+                            if (schema[keyword] !== undefined) raw[keyword] = schema[keyword];
+                        }
+                        entry.constraints = raw;
+                        entry.rules = this.formatConstraintsColumn(prop, schema);
+                        break;
+                    }
+                    case 'additionalInfo': {
+                        const extra = {};
+                        for (const [key, value] of Object.entries(schema)) {
+                            if (!SchemaProcessor.EXCLUDED_KEYWORDS.has(key) &&
+                                !displayedColumns.includes(key) &&
+                                value !== undefined && value !== null) {
+                                extra[key] = value;
+                            }
+                        }
+                        entry.additionalInfo = extra;
+                        break;
+                    }
+                    case 'validation':
+                        if (prop.validation) {
+                            const { checked, invalid, missing, examples } = prop.validation;
+                            entry.validation = { checked, invalid, missing, examples };
+                        }
+                        break;
+                    default:
+                        if (schema[col] !== undefined) entry[col] = schema[col];
+                }
+            }
+
+            return entry;
+        });
+
+        return JSON.stringify({
+            title: data.title || 'Data Dictionary',
+            description: data.description || '',
+            generated: new Date().toISOString(),
+            variables
+        }, null, 2);
+    }
+
+    /**
+     * Text content of the dictionary in one of the text TableRenderer.EXPORT_FORMATS
+     * @param {string} format - 'csv', 'tsv', 'markdown' or 'json'
+     * @param {Object} data - Processed schema data with properties array
+     * @param {Array<string>} selectedColumns - Optional array of column keywords to export
+     * @returns {string}
+     */
+    exportText(format, data, selectedColumns = null) {
+        const exporters = {
+            csv: () => this.exportToCSV(data, selectedColumns),
+            tsv: () => this.exportToTSV(data, selectedColumns),
+            markdown: () => this.exportToMarkdown(data, selectedColumns),
+            json: () => this.exportToJSON(data, selectedColumns)
+        };
+        if (!exporters[format]) throw new Error(`Unknown text export format: ${format}`);
+        return exporters[format]();
+    }
+
+    /**
+     * Apply borders to a cell based on its position
+     * @param {Object} cell - ExcelJS cell object
+     * @param {number} rowIndex - Row index (1-based)
+     */
+    applyCellBorder(cell, rowIndex) {
+        if (rowIndex === 1) {
+            // Title row - thick border
+            cell.border = {
+                top: { style: 'medium', color: { argb: 'FF34495E' } },
+                left: { style: 'medium', color: { argb: 'FF34495E' } },
+                bottom: { style: 'medium', color: { argb: 'FF34495E' } },
+                right: { style: 'medium', color: { argb: 'FF34495E' } }
+            };
+        } else if (rowIndex === 2) {
+            // Header row - medium border
+            cell.border = {
+                top: { style: 'medium', color: { argb: 'FF34495E' } },
+                left: { style: 'thin', color: { argb: 'FF95A5A6' } },
+                bottom: { style: 'medium', color: { argb: 'FF34495E' } },
+                right: { style: 'thin', color: { argb: 'FF95A5A6' } }
+            };
+        } else {
+            // Data rows - thin border
+            cell.border = {
+                top: { style: 'thin', color: { argb: 'FFD5DBDB' } },
+                left: { style: 'thin', color: { argb: 'FFD5DBDB' } },
+                bottom: { style: 'thin', color: { argb: 'FFD5DBDB' } },
+                right: { style: 'thin', color: { argb: 'FFD5DBDB' } }
+            };
+        }
+    }
+
+    /**
+     * ExcelJS is a global in the browser (CDN script); in Node it is loaded on first use
+     * @returns {Object} The ExcelJS module
+     */
+    static getExcelJS() {
+        if (typeof ExcelJS !== 'undefined') return ExcelJS;
+        try {
+            return require('exceljs');
+        } catch {
+            throw new Error('Excel support needs the exceljs package (npm install exceljs)');
+        }
+    }
+
+    /**
+     * A valid worksheet name, unique within the workbook: Excel allows at most 31 characters,
+     * none of \ / ? * [ ] :, no apostrophe at either end, and compares names case-insensitively
+     * @param {string} name - Wanted name, e.g. a category title
+     * @param {Set<string>} usedNames - Lower-cased names already taken; the result is added
+     * @returns {string}
+     */
+    static excelSheetName(name, usedNames) {
+        const clean = text => text.replace(/^'+|'+$/g, '').trim();
+        const base = clean(String(name || '').replace(/[\\/?*[\]:]/g, '-')) || 'Sheet';
+
+        let candidate = clean(base.slice(0, 31));
+        for (let n = 2; usedNames.has(candidate.toLowerCase()) || candidate.toLowerCase() === 'history'; n++) {
+            const suffix = ` (${n})`;
+            candidate = clean(base.slice(0, 31 - suffix.length)) + suffix;
+        }
+        usedNames.add(candidate.toLowerCase());
+        return candidate;
+    }
+
+    /**
+     * Build the dictionary workbook: title row, header row, a merged row per category
+     * and one row per variable. With sheetPerCategory, each category gets its own sheet
+     * instead, after an index sheet linking to them.
+     * @param {Object} data - Processed schema data with properties array
+     * @param {Array<string>} selectedColumns - Optional array of column keywords to export
+     * @param {{ sheetPerCategory?: boolean }} options
+     * @returns {Object} ExcelJS workbook
+     */
+    createExcelWorkbook(data, selectedColumns = null, { sheetPerCategory = false } = {}) {
+        const columns = selectedColumns || this.columnManager.getSelectedColumns();
+        const title = data.title || 'Data Dictionary';
+
+        // Create a new workbook
+        const ExcelJS = TableRenderer.getExcelJS();
+        const workbook = new ExcelJS.Workbook();
+        workbook.creator = 'JSON Schema to Data Dictionary';
+        workbook.created = new Date();
+
+        const usedNames = new Set();
+        if (!sheetPerCategory || !data.properties.some(p => p.category)) {
+            this.addDictionarySheet(workbook, TableRenderer.excelSheetName(title, usedNames), title, data.properties, columns);
+            this.addCodeListSheet(workbook, TableRenderer.excelSheetName('Valid Values', usedNames), title, data.properties);
+            return workbook;
+        }
+
+        // One section per category, in table order; top-level rows say what the section is
+        const sections = new Map();
+        for (const prop of data.properties) {
+            const category = prop.category || title;
+            if (!sections.has(category)) sections.set(category, { properties: [], description: '' });
+            const section = sections.get(category);
+            section.properties.push(prop);
+            if (!section.description && prop.depth === 0 && !prop.arrayParent) {
+                section.description = prop.owner?.description || '';
+            }
+        }
+
+        const indexName = TableRenderer.excelSheetName('Index', usedNames);
+        for (const [category, section] of sections) {
+            section.sheetName = TableRenderer.excelSheetName(category, usedNames);
+        }
+
+        const index = this.addReportSheet(workbook, {
+            name: indexName,
+            title,
+            headers: ['Section', 'Variables', 'Description'],
+            widths: [40, 12, 80],
+            rows: [...sections].map(([category, section]) => [category, section.properties.length, section.description])
+        });
+        [...sections.values()].forEach((section, i) => {
+            const cell = index.getCell(i + 3, 1);
+            cell.value = { text: cell.value, hyperlink: `#'${section.sheetName.replace(/'/g, "''")}'!A1` };
+            cell.font = { name: 'Arial', size: 10, color: { argb: 'FF1976D2' }, underline: true };
+        });
+
+        for (const [category, section] of sections) {
+            this.addDictionarySheet(workbook, section.sheetName, category, section.properties, columns, { categoryRows: false });
+        }
+        this.addCodeListSheet(workbook, TableRenderer.excelSheetName('Valid Values', usedNames), title, data.properties);
+        return workbook;
+    }
+
+    /**
+     * Add the code list in long format — one row per variable and allowed value — so
+     * labels can be looked up or joined onto data. Left out when no variable has codes.
+     * @param {Object} workbook - ExcelJS workbook
+     * @param {string} name - Valid worksheet name (excelSheetName)
+     * @param {string} title - Dictionary title
+     * @param {Object[]} properties - Rows of the table data
+     * @returns {Object|null} The ExcelJS worksheet
+     */
+    addCodeListSheet(workbook, name, title, properties) {
+        const rows = [];
+        for (const prop of properties) {
+            this.getCodeList(prop.schema).forEach(({ code, label }, index) => {
+                const value = code !== null && typeof code === 'object' ? JSON.stringify(code) : code;
+                rows.push([prop.category || '', prop.path || prop.name, value, label, index + 1]);
+            });
+        }
+        if (rows.length === 0) return null;
+
+        return this.addReportSheet(workbook, {
+            name,
+            title: `${title}: Valid Values`,
+            headers: ['Category', 'Variable', 'Code', 'Label', 'Order'],
+            widths: [25, 30, 15, 50, 8],
+            rows
+        });
+    }
+
+    /**
+     * Add a dictionary worksheet: title row, frozen header row with autofilter, and one
+     * row per variable, with a merged row starting each category unless categoryRows is false
+     * @param {Object} workbook - ExcelJS workbook
+     * @param {string} name - Valid worksheet name (excelSheetName)
+     * @param {string} title - Title row text
+     * @param {Object[]} properties - Rows of the table data
+     * @param {Array<string>} columns - Column keywords to export
+     * @param {{ categoryRows?: boolean }} options
+     * @returns {Object} The ExcelJS worksheet
+     */
+    addDictionarySheet(workbook, name, title, properties, columns, { categoryRows = true } = {}) {
+        // Add a worksheet
+        const worksheet = workbook.addWorksheet(name, {
+            properties: {
+                defaultRowHeight: 18,
+            },
+            views: [
+                {
+                    state: 'frozen',
+                    ySplit: 2,  // Freeze first 2 rows (title and headers)
+                    activeCell: 'A3'
+                }
+            ]
+        });
+
+        // Add title row
+        worksheet.mergeCells(`A1:${String.fromCharCode(65 + columns.length)}1`);
+        const titleCell = worksheet.getCell('A1');
+        titleCell.value = title;
+        titleCell.font = { name: 'Arial', size: 16, bold: true, color: { argb: 'FF2C3E50' } };
+        titleCell.alignment = { vertical: 'middle', horizontal: 'center' };
+        titleCell.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: 'FFE8F4FD' }
+        };
+        worksheet.getRow(1).height = 30;
+
+        // Add headers
+        const headers = ['Category'];
+        for (const col of columns) {
+            const def = this.columnManager.getColumnDefinition(col);
+            headers.push(def.display);
+        }
+
+        worksheet.addRow(headers);
+        const headerRow = worksheet.getRow(2);
+        headerRow.font = { name: 'Arial', size: 12, bold: true, color: { argb: 'FFFFFFFF' } };
+        headerRow.fill = {
+            type: 'pattern',
+            pattern: 'solid',
+            fgColor: { argb: 'FF34495E' }
+        };
+        headerRow.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
+        headerRow.height = 25;
+
+        // Add filters
+        worksheet.autoFilter = {
+            from: { row: 2, column: 1 },
+            to: { row: 2, column: headers.length }
+        };
+
+        // Process data rows
+        let currentCategory = '';
+        let rowIndex = 3;
+        const hasCategories = properties.some(p => p.category);
+
+        for (const prop of properties) {
+            // Add category row if changed; a blank one ends a section when variables
+            // without a category follow it (e.g. after an array's items)
+            if (hasCategories && (prop.category || '') !== currentCategory) {
+                currentCategory = prop.category || '';
+                if (categoryRows) {
+                    worksheet.addRow([currentCategory]);
+                    const categoryRow = worksheet.getRow(rowIndex);
+                    worksheet.mergeCells(`A${rowIndex}:${String.fromCharCode(65 + columns.length)}${rowIndex}`);
+                    categoryRow.font = { name: 'Arial', size: 11, bold: true, color: { argb: 'FF2C3E50' } };
+                    categoryRow.fill = {
+                        type: 'pattern',
+                        pattern: 'solid',
+                        fgColor: { argb: 'FFD5DBDB' }
+                    };
+                    categoryRow.alignment = { vertical: 'middle', horizontal: 'left' };
+                    categoryRow.height = 22;
+                    rowIndex++;
+                }
+            }
+
+            const rowData = [
+                prop.category || '',
+                ...columns.map(col => this.formatExportValue(col, prop, 'excel'))
+            ];
+
+            worksheet.addRow(rowData);
+            const dataRow = worksheet.getRow(rowIndex);
+
+            // Style data row
+            dataRow.font = { name: 'Arial', size: 10 };
+            dataRow.alignment = { vertical: 'top', wrapText: true };
+
+            // Alternate row colors
+            if ((rowIndex - 3) % 2 === 0) {
+                dataRow.fill = {
+                    type: 'pattern',
+                    pattern: 'solid',
+                    fgColor: { argb: 'FFF8F9FA' }
+                };
+            }
+
+            // Highlight required fields with bold (no red color)
+            if (prop.required) {
+                const nameCell = dataRow.getCell(columns.indexOf('name') + 2);
+                nameCell.font = {
+                    name: 'Arial',
+                    size: 10,
+                    bold: true
+                };
+            }
+
+            // Indent nested object children under their parent
+            if (prop.depth > 0) {
+                const nameCell = dataRow.getCell(columns.indexOf('name') + 2);
+                nameCell.alignment = { vertical: 'top', wrapText: true, indent: prop.depth };
+            }
+
+            // Set specific cell styles
+            const typeCell = dataRow.getCell(columns.indexOf('type') + 2);
+            if (typeCell.value) {
+                typeCell.font = {
+                    name: 'Consolas',
+                    size: 10,
+                    color: { argb: 'FF1976D2' }
+                };
+            }
+
+            rowIndex++;
+        }
+
+        // Auto-fit columns with max width
+        const maxWidthMap = {
+            'description': 50,
+            'enum': 35,
+            'constraints': 30,
+            'additionalInfo': 35
+        };
+        const defaultMaxWidth = 40;
+        const categoryMaxWidth = 20;
+        const minWidth = 10;
+
+        worksheet.columns.forEach((column, index) => {
+            let maxLength = 0;
+            const columnLetter = String.fromCharCode(65 + index);
+
+            // Check header length
+            maxLength = Math.max(maxLength, headers[index]?.length || 0);
+
+            // Check all data in the column
+            for (let i = 3; i <= worksheet.rowCount; i++) {
+                const cell = worksheet.getCell(`${columnLetter}${i}`);
+                const cellValue = String(cell.value || '');
+                // For multi-line content, check the longest line
+                const lines = cellValue.split('\n');
+                const longestLine = Math.max(...lines.map(line => line.length));
+                maxLength = Math.max(maxLength, longestLine);
+            }
+
+            // Determine max width based on column type
+            let maxWidth;
+            if (index === 0) {
+                maxWidth = categoryMaxWidth;
+            } else {
+                const columnKey = columns[index - 1];
+                maxWidth = maxWidthMap[columnKey] || defaultMaxWidth;
+            }
+
+            column.width = Math.min(Math.max(maxLength + 2, minWidth), maxWidth);
+        });
+
+        // Add borders to all cells
+        for (let i = 1; i <= worksheet.rowCount; i++) {
+            for (let j = 1; j <= headers.length; j++) {
+                const cell = worksheet.getRow(i).getCell(j);
+                this.applyCellBorder(cell, i);
+            }
+        }
+
+        // Set page setup for printing
+        worksheet.pageSetup = {
+            orientation: 'landscape',
+            fitToPage: true,
+            fitToWidth: 1,
+            fitToHeight: 0,
+            margins: {
+                left: 0.7,
+                right: 0.7,
+                top: 0.75,
+                bottom: 0.75,
+                header: 0.3,
+                footer: 0.3
+            }
+        };
+
+        return worksheet;
+    }
+
+    /**
+     * Render the compare-mode change log as an HTML table
+     * @param {Object} diff - Result of DictionaryDiff.compare
+     * @returns {string} HTML string for the table
+     */
+    renderDiff(diff) {
+        const { added, removed, modified } = diff.counts;
+
+        let html = `<div class="table-container">
+            <div class="table-header">
+                <div class="table-title">Changes: ${this.escapeHtml(diff.beforeTitle)} → ${this.escapeHtml(diff.afterTitle)}</div>
+                <div class="subtitle diff-summary">
+                    <span class="diff-badge diff-badge-added">${added} added</span>
+                    <span class="diff-badge diff-badge-removed">${removed} removed</span>
+                    <span class="diff-badge diff-badge-modified">${modified} modified</span>
+                    <button class="btn btn-secondary" onclick="exportDiff()">Export change log to Excel</button>
+                </div>
+            </div>`;
+
+        if (diff.entries.length === 0) {
+            return html + `<div class="loading">No differences found between the two versions.</div></div>`;
+        }
+
+        html += `<div class="table-scroll-wrapper">
+                <table id="diffTable">
+                    <thead>
+                        <tr>
+                            <th>Change</th>
+                            <th>Category</th>
+                            <th>Variable Name</th>
+                            <th>Field</th>
+                            <th>Before</th>
+                            <th>After</th>
+                        </tr>
+                    </thead>
+                    <tbody>`;
+
+        const label = { added: 'Added', removed: 'Removed', modified: 'Modified' };
+
+        for (const entry of diff.entries) {
+            const rows = entry.change === 'modified' ? entry.changes : [null];
+            const span = rows.length > 1 ? ` rowspan="${rows.length}"` : '';
+
+            rows.forEach((change, index) => {
+                html += `<tr class="diff-row diff-${entry.change}">`;
+                if (index === 0) {
+                    html += `<td${span}><span class="diff-badge diff-badge-${entry.change}">${label[entry.change]}</span></td>
+                        <td${span}>${this.escapeHtml(entry.prop.category || '')}</td>
+                        <td${span}><span class="variable-name">${this.escapeHtml(entry.prop.path || entry.prop.name)}</span></td>`;
+                }
+
+                if (entry.change === 'added') {
+                    html += `<td></td><td></td><td><ins class="diff-ins">${this.escapeHtml(entry.summary)}</ins></td>`;
+                } else if (entry.change === 'removed') {
+                    html += `<td></td><td><del class="diff-del">${this.escapeHtml(entry.summary)}</del></td><td></td>`;
+                } else {
+                    html += `<td class="diff-field">${change.label}</td>
+                        <td>${this.formatDiffLines(change.before, change.removed, 'del')}</td>
+                        <td>${this.formatDiffLines(change.after, change.added, 'ins')}</td>`;
+                }
+                html += `</tr>`;
+            });
+        }
+
+        html += `</tbody></table></div></div>`;
+        return html;
+    }
+
+    /**
+     * Render the schema quality findings as a collapsible panel above the table.
+     * Variables link to their row through showTableRow (app.js).
+     * @param {Object} report - Result of SchemaLinter.lint
+     * @returns {string} HTML
+     */
+    renderQualityReport(report) {
+        const { error, warning, info } = report.counts;
+        if (report.findings.length === 0) {
+            return `<div class="quality-panel quality-clean">Quality: no problems found in the schemas</div>`;
+        }
+
+        const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+        let html = `<details class="quality-panel"${error > 0 ? ' open' : ''}>
+            <summary>Quality
+                <span class="quality-badge quality-error">${plural(error, 'error')}</span>
+                <span class="quality-badge quality-warning">${plural(warning, 'warning')}</span>
+                <span class="quality-badge quality-info">${plural(info, 'note')}</span>
+            </summary>
+            <div class="quality-actions">
+                <button class="btn-outline" onclick="exportQuality()">Export quality report to Excel</button>
+            </div>
+            <div class="table-scroll-wrapper">
+                <table class="quality-table">
+                    <thead><tr><th>Severity</th><th>Check</th><th>Variable</th><th>Problem</th></tr></thead>
+                    <tbody>`;
+
+        for (const finding of report.findings) {
+            const where = finding.key
+                ? `<a href="#" class="quality-link" data-key="${this.escapeHtml(finding.key)}"
+                      onclick="showTableRow(this.dataset.key); return false;">${this.escapeHtml(finding.variable)}</a>`
+                : `<span class="quality-location">${this.escapeHtml(finding.location)}</span>`;
+            html += `<tr>
+                <td><span class="quality-badge quality-${finding.severity}">${finding.severity}</span></td>
+                <td>${this.escapeHtml(finding.label)}</td>
+                <td>${where}</td>
+                <td>${this.escapeHtml(finding.message)}</td>
+            </tr>`;
+        }
+
+        html += `</tbody></table></div></details>`;
+        return html;
+    }
+
+    /**
+     * Render one side of a field change, marking the lines that changed
+     * @param {string} text - Newline-separated value
+     * @param {string[]|undefined} changedLines - Lines to mark; all lines when undefined
+     * @param {string} tag - 'ins' or 'del'
+     * @returns {string} HTML
+     */
+    formatDiffLines(text, changedLines, tag) {
+        if (!text) return '';
+        const className = tag === 'ins' ? 'diff-ins' : 'diff-del';
+        return text.split('\n').map(line => {
+            const escaped = this.escapeHtml(line);
+            return !changedLines || changedLines.includes(line)
+                ? `<${tag} class="${className}">${escaped}</${tag}>`
+                : escaped;
+        }).join('<br>');
+    }
+
+    /**
+     * Add a worksheet in the dictionary's house style: merged title row, dark
+     * frozen header row with autofilter, wrapped Arial rows and thin borders.
+     * @param {Object} workbook - ExcelJS workbook
+     * @param {{ name: string, title: string, headers: string[], widths: number[], rows: Array<Array> }} sheet
+     * @returns {Object} The ExcelJS worksheet
+     */
+    addReportSheet(workbook, { name, title, headers, widths, rows }) {
+        const worksheet = workbook.addWorksheet(name, {
+            properties: { defaultRowHeight: 18 },
+            views: [{ state: 'frozen', ySplit: 2, activeCell: 'A3' }]
+        });
+
+        worksheet.mergeCells(`A1:${String.fromCharCode(64 + headers.length)}1`);
+        const titleCell = worksheet.getCell('A1');
+        titleCell.value = title;
+        titleCell.font = { name: 'Arial', size: 16, bold: true, color: { argb: 'FF2C3E50' } };
+        titleCell.alignment = { vertical: 'middle', horizontal: 'center' };
+        titleCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE8F4FD' } };
+        worksheet.getRow(1).height = 30;
+
+        worksheet.addRow(headers);
+        const headerRow = worksheet.getRow(2);
+        headerRow.font = { name: 'Arial', size: 12, bold: true, color: { argb: 'FFFFFFFF' } };
+        headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF34495E' } };
+        headerRow.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
+        headerRow.height = 25;
+
+        worksheet.autoFilter = {
+            from: { row: 2, column: 1 },
+            to: { row: 2, column: headers.length }
+        };
+
+        for (const values of rows) {
+            const row = worksheet.addRow(values);
+            row.font = { name: 'Arial', size: 10 };
+            row.alignment = { vertical: 'top', wrapText: true };
+        }
+
+        worksheet.columns.forEach((column, index) => { column.width = widths[index]; });
+
+        for (let i = 1; i <= worksheet.rowCount; i++) {
+            for (let j = 1; j <= headers.length; j++) {
+                this.applyCellBorder(worksheet.getRow(i).getCell(j), i);
+            }
+        }
+
+        worksheet.pageSetup = { orientation: 'landscape', fitToPage: true, fitToWidth: 1, fitToHeight: 0 };
+        return worksheet;
+    }
+
+    /**
+     * Excel data validation for one template column, from the variable's schema: a dropdown
+     * for coded values, then date, number range or text length checks
+     * @param {Object} schema - The variable's schema
+     * @param {string|null} listRange - Lookup sheet range holding the variable's codes
+     * @returns {Object|null} ExcelJS data validation
+     */
+    templateValidation(schema, listRange) {
+        const base = { allowBlank: true, showErrorMessage: true, errorStyle: 'stop', errorTitle: 'Invalid value' };
+
+        if (listRange) {
+            return { ...base, type: 'list', formulae: [listRange], error: 'Choose a value from the list.' };
+        }
+        if (schema.format === 'date') {
+            return {
+                ...base, type: 'date', operator: 'greaterThan', formulae: [new Date(Date.UTC(1900, 0, 1))],
+                error: 'Enter a date.'
+            };
+        }
+
+        const types = [].concat(schema.type || []);
+        if (types.includes('integer') || types.includes('number')) {
+            const type = types.includes('number') ? 'decimal' : 'whole';
+            const kind = type === 'whole' ? 'a whole number' : 'a number';
+
+            // Exclusive bounds: whole numbers step inside them; decimals keep them as
+            // greater/less than, except in a range, which Excel only checks inclusively
+            let min = schema.minimum;
+            let max = schema.maximum;
+            let minExclusive = false;
+            let maxExclusive = false;
+            if (typeof min !== 'number' && typeof schema.exclusiveMinimum === 'number') {
+                if (type === 'whole') min = Math.floor(schema.exclusiveMinimum) + 1;
+                else [min, minExclusive] = [schema.exclusiveMinimum, true];
+            }
+            if (typeof max !== 'number' && typeof schema.exclusiveMaximum === 'number') {
+                if (type === 'whole') max = Math.ceil(schema.exclusiveMaximum) - 1;
+                else [max, maxExclusive] = [schema.exclusiveMaximum, true];
+            }
+
+            if (typeof min === 'number' && typeof max === 'number') {
+                return {
+                    ...base, type, operator: 'between', formulae: [min, max],
+                    error: `Enter ${kind} from ${min} to ${max}.`
+                };
+            }
+            if (typeof min === 'number') {
+                return {
+                    ...base, type, operator: minExclusive ? 'greaterThan' : 'greaterThanOrEqual', formulae: [min],
+                    error: `Enter ${kind} ${minExclusive ? 'more than' : 'of at least'} ${min}.`
+                };
+            }
+            if (typeof max === 'number') {
+                return {
+                    ...base, type, operator: maxExclusive ? 'lessThan' : 'lessThanOrEqual', formulae: [max],
+                    error: `Enter ${kind} ${maxExclusive ? 'less than' : 'of at most'} ${max}.`
+                };
+            }
+            return null;
+        }
+
+        if (schema.minLength !== undefined || schema.maxLength !== undefined) {
+            const min = schema.minLength ?? 0;
+            if (schema.maxLength === undefined) {
+                return {
+                    ...base, type: 'textLength', operator: 'greaterThanOrEqual', formulae: [min],
+                    error: `Enter at least ${min} characters.`
+                };
+            }
+            return {
+                ...base, type: 'textLength', operator: 'between', formulae: [min, schema.maxLength],
+                error: `Enter ${min}-${schema.maxLength} characters.`
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Build a data-entry workbook: one column per variable, headed by its name with the
+     * description as a note, required columns highlighted, and data validation from the
+     * schema on the first rows. Code lists live on a hidden lookup sheet. Object and
+     * array-of-object variables have no column of their own.
+     * @param {Object} data - Processed schema data with properties array
+     * @param {{ rows?: number }} options - rows: how many data rows get validation
+     * @returns {Object} ExcelJS workbook
+     */
+    createTemplateWorkbook(data, { rows = 1000 } = {}) {
+        const ExcelJS = TableRenderer.getExcelJS();
+        const workbook = new ExcelJS.Workbook();
+        workbook.creator = 'JSON Schema to Data Dictionary';
+        workbook.created = new Date();
+
+        const usedNames = new Set();
+        const worksheet = workbook.addWorksheet(TableRenderer.excelSheetName(data.title || 'Data', usedNames), {
+            views: [{ state: 'frozen', ySplit: 1, activeCell: 'A2' }]
+        });
+        const lookups = workbook.addWorksheet(TableRenderer.excelSheetName('Lookups', usedNames), { state: 'hidden' });
+
+        const variables = data.properties.filter(prop => {
+            if (prop.arrayParent) return false;
+            const types = [].concat(prop.schema.type || []);
+            const items = prop.schema.items;
+            return !types.includes('object') && !(types.includes('array') && items && (items.type === 'object' || items.properties));
+        });
+        const columnLetter = index => {
+            let letters = '';
+            for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+                letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+            }
+            return letters;
+        };
+
+        let lookupCount = 0;
+        variables.forEach((prop, index) => {
+            const letter = columnLetter(index);
+            const header = worksheet.getCell(`${letter}1`);
+            header.value = prop.path || prop.name;
+            header.font = { name: 'Arial', size: 11, bold: true, color: { argb: 'FFFFFFFF' } };
+            header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: prop.required ? 'FFE67E22' : 'FF34495E' } };
+            header.alignment = { vertical: 'middle', horizontal: 'center' };
+
+            const note = [prop.required ? 'Required.' : '', prop.schema.description || ''].filter(Boolean).join(' ');
+            if (note) header.note = note;
+
+            // Codes go in a column of the lookup sheet, which the dropdown points at
+            let listRange = null;
+            const codes = this.getCodeList(prop.schema);
+            if (codes.length > 0 && prop.schema.type !== 'array') {
+                const lookupLetter = columnLetter(lookupCount++);
+                lookups.getCell(`${lookupLetter}1`).value = prop.path || prop.name;
+                codes.forEach(({ code }, i) => {
+                    lookups.getCell(`${lookupLetter}${i + 2}`).value =
+                        code !== null && typeof code === 'object' ? JSON.stringify(code) : code;
+                });
+                const sheetRef = `'${lookups.name.replace(/'/g, "''")}'`;
+                listRange = `${sheetRef}!$${lookupLetter}$2:$${lookupLetter}$${codes.length + 1}`;
+            }
+
+            const validation = this.templateValidation(prop.schema, listRange);
+            if (validation) worksheet.dataValidations.add(`${letter}2:${letter}${rows + 1}`, validation);
+
+            const column = worksheet.getColumn(index + 1);
+            column.width = Math.min(Math.max(String(header.value).length + 4, 12), 40);
+            if (prop.schema.format === 'date') column.numFmt = 'yyyy-mm-dd';
+        });
+
+        worksheet.getRow(1).height = 22;
+        return workbook;
+    }
+
+    /**
+     * Build the compare-mode change log as a one-sheet workbook
+     * @param {Object} diff - Result of DictionaryDiff.compare
+     * @returns {Object} ExcelJS workbook
+     */
+    createDiffWorkbook(diff) {
+        const ExcelJS = TableRenderer.getExcelJS();
+        const workbook = new ExcelJS.Workbook();
+        workbook.creator = 'JSON Schema to Data Dictionary';
+        workbook.created = new Date();
+
+        const label = { added: 'Added', removed: 'Removed', modified: 'Modified' };
+        const fills = { Added: 'FFE8F8F0', Removed: 'FFFDEDEC', Modified: 'FFFEF9E7' };
+        const rows = [];
+
+        for (const entry of diff.entries) {
+            const base = [label[entry.change], entry.prop.category || '', entry.prop.path || entry.prop.name];
+            if (entry.change === 'added') {
+                rows.push([...base, '', '', entry.summary, '']);
+            } else if (entry.change === 'removed') {
+                rows.push([...base, '', entry.summary, '', '']);
+            } else {
+                for (const change of entry.changes) {
+                    const details = [];
+                    if (change.added?.length) details.push(`Added: ${change.added.join('; ')}`);
+                    if (change.removed?.length) details.push(`Removed: ${change.removed.join('; ')}`);
+                    rows.push([...base, change.label, change.before, change.after, details.join('\n')]);
+                }
+            }
+        }
+
+        const worksheet = this.addReportSheet(workbook, {
+            name: 'Change Log',
+            title: `Changes: ${diff.beforeTitle} → ${diff.afterTitle}`,
+            headers: ['Change', 'Category', 'Variable Name', 'Field', 'Before', 'After', 'Details'],
+            widths: [12, 22, 28, 16, 45, 45, 40],
+            rows
+        });
+
+        // Colour-code the change type
+        for (let i = 3; i <= worksheet.rowCount; i++) {
+            const cell = worksheet.getRow(i).getCell(1);
+            cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: fills[cell.value] } };
+            cell.font = { name: 'Arial', size: 10, bold: true };
+        }
+
+        return workbook;
+    }
+
+    /**
+     * Build the schema quality report for schema authors
+     * @param {Object} report - Result of SchemaLinter.lint
+     * @param {Object} data - Table data the report was produced for
+     * @returns {Object} ExcelJS workbook
+     */
+    createQualityWorkbook(report, data) {
+        const ExcelJS = TableRenderer.getExcelJS();
+        const workbook = new ExcelJS.Workbook();
+        workbook.creator = 'JSON Schema to Data Dictionary';
+        workbook.created = new Date();
+
+        const label = { error: 'Error', warning: 'Warning', info: 'Note' };
+        const fills = { Error: 'FFFDEDEC', Warning: 'FFFEF9E7', Note: 'FFEAF2F8' };
+
+        const worksheet = this.addReportSheet(workbook, {
+            name: 'Quality',
+            title: `Schema quality: ${data.title || 'data dictionary'}`,
+            headers: ['Severity', 'Check', 'Category', 'Variable Name', 'Location', 'Problem'],
+            widths: [12, 30, 22, 28, 36, 60],
+            rows: report.findings.map(finding => [
+                label[finding.severity],
+                finding.label,
+                finding.category,
+                finding.variable,
+                finding.location,
+                finding.message
+            ])
+        });
+
+        // Colour-code the severity
+        for (let i = 3; i <= worksheet.rowCount; i++) {
+            const cell = worksheet.getRow(i).getCell(1);
+            cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: fills[cell.value] } };
+            cell.font = { name: 'Arial', size: 10, bold: true };
+        }
+
+        return workbook;
+    }
+
+    /**
+     * Build the data-file validation results: a per-variable summary sheet and the
+     * detailed error list
+     * @param {Object} report - Result of DataValidator.validate
+     * @param {Object} data - Table data the report was produced for
+     * @param {string} dataFileName - Name of the validated data file
+     * @returns {Object} ExcelJS workbook
+     */
+    createValidationWorkbook(report, data, dataFileName = 'data') {
+        const ExcelJS = TableRenderer.getExcelJS();
+        const workbook = new ExcelJS.Workbook();
+        workbook.creator = 'JSON Schema to Data Dictionary';
+        workbook.created = new Date();
+
+        const summaryRows = data.properties.map(prop => {
+            const stats = report.byProp.get(prop) || { checked: 0, invalid: 0, missing: 0, examples: [] };
+            return [
+                prop.category || '',
+                prop.path || prop.name,
+                stats.checked,
+                stats.invalid,
+                stats.missing,
+                stats.examples.join('\n')
+            ];
+        });
+
+        this.addReportSheet(workbook, {
+            name: 'Summary',
+            title: `${dataFileName}: ${report.recordCount} records checked against ${data.title || 'the data dictionary'}`,
+            headers: ['Category', 'Variable Name', 'Values Checked', 'Invalid', 'Missing Required', 'Example Bad Values'],
+            widths: [22, 30, 14, 12, 16, 40],
+            rows: summaryRows
+        });
+
+        const errorRows = report.errors.map(error => [
+            error.record,
+            error.category,
+            error.path,
+            error.value === undefined ? '' : SchemaProcessor.formatLiteral(error.value),
+            error.message
+        ]);
+        if (report.truncated) {
+            errorRows.push(['', '', '', '', `List truncated after ${DataValidator.MAX_ERRORS} errors`]);
+        }
+
+        this.addReportSheet(workbook, {
+            name: 'Errors',
+            title: `Validation errors in ${dataFileName}`,
+            headers: ['Record', 'Category', 'Variable Name', 'Value', 'Error'],
+            widths: [10, 22, 30, 30, 50],
+            rows: errorRows
+        });
+
+        return workbook;
+    }
+
+}
+
+/**
+ * Compares two processed data dictionaries (from SchemaProcessor.getTableData)
+ * variable by variable, for the compare mode's change log
+ */
+class DictionaryDiff {
+    constructor(renderer) {
+        this.renderer = renderer;
+    }
+
+    static pathOf(prop) {
+        return prop.path || prop.name;
+    }
+
+    static keyOf(prop) {
+        return `${prop.category || ''}\u0000${DictionaryDiff.pathOf(prop)}`;
+    }
+
+    /**
+     * @param {Object} before - Table data of the "before" schema set
+     * @param {Object} after - Table data of the "after" schema set
+     * @returns {{ beforeTitle: string, afterTitle: string,
+     *   entries: Array<{ change: string, prop: Object, before?: Object, changes: Array, summary?: string }>,
+     *   counts: { added: number, removed: number, modified: number } }}
+     */
+    compare(before, after) {
+        const beforeProps = before?.properties || [];
+        const afterProps = after?.properties || [];
+        const beforeByKey = new Map(beforeProps.map(p => [DictionaryDiff.keyOf(p), p]));
+        const afterByKey = new Map(afterProps.map(p => [DictionaryDiff.keyOf(p), p]));
+
+        // A path that appears exactly once on both sides is the same variable even
+        // if its section was renamed, so match it instead of reporting remove + add.
+        const countPaths = props => {
+            const counts = new Map();
+            for (const p of props) counts.set(DictionaryDiff.pathOf(p), (counts.get(DictionaryDiff.pathOf(p)) || 0) + 1);
+            return counts;
+        };
+        const beforePathCount = countPaths(beforeProps);
+        const afterPathCount = countPaths(afterProps);
+        const beforeByPath = new Map(beforeProps
+            .filter(p => beforePathCount.get(DictionaryDiff.pathOf(p)) === 1)
+            .map(p => [DictionaryDiff.pathOf(p), p]));
+
+        const matched = new Set();
+        const entries = [];
+
+        for (const prop of afterProps) {
+            const path = DictionaryDiff.pathOf(prop);
+            let previous = beforeByKey.get(DictionaryDiff.keyOf(prop));
+            if (!previous && afterPathCount.get(path) === 1) {
+                const candidate = beforeByPath.get(path);
+                if (candidate && !afterByKey.has(DictionaryDiff.keyOf(candidate))) previous = candidate;
+            }
+
+            if (!previous || matched.has(previous)) {
+                entries.push({ change: 'added', prop, changes: [], summary: this.summarize(prop) });
+                continue;
+            }
+
+            matched.add(previous);
+            const changes = this.compareProperty(previous, prop);
+            if (changes.length > 0) {
+                entries.push({ change: 'modified', prop, before: previous, changes });
+            }
+        }
+
+        for (const prop of beforeProps) {
+            if (!matched.has(prop)) entries.push({ change: 'removed', prop, changes: [], summary: this.summarize(prop) });
+        }
+
+        const counts = { added: 0, removed: 0, modified: 0 };
+        for (const entry of entries) counts[entry.change]++;
+
+        return {
+            beforeTitle: before?.title || 'Before',
+            afterTitle: after?.title || 'After',
+            entries,
+            counts
+        };
+    }
+
+    /**
+     * Field-by-field differences between two versions of one variable
+     * @param {Object} before - Property object from the "before" set
+     * @param {Object} after - Property object from the "after" set
+     * @returns {Array<{ field: string, label: string, before: string, after: string,
+     *   added?: string[], removed?: string[] }>}
+     */
+    compareProperty(before, after) {
+        const changes = [];
+        const renderer = this.renderer;
+
+        if ((before.category || '') !== (after.category || '')) {
+            changes.push({ field: 'category', label: 'Category', before: before.category || '', after: after.category || '' });
+        }
+
+        const oldDescription = before.schema.description || '';
+        const newDescription = after.schema.description || '';
+        if (oldDescription !== newDescription) {
+            changes.push({ field: 'description', label: 'Description', before: oldDescription, after: newDescription });
+        }
+
+        const oldType = renderer.formatType(before.schema);
+        const newType = renderer.formatType(after.schema);
+        if (oldType !== newType) {
+            changes.push({ field: 'type', label: 'Data Type', before: oldType, after: newType });
+        }
+
+        if (!!before.required !== !!after.required) {
+            changes.push({
+                field: 'required', label: 'Required',
+                before: before.required ? 'Yes' : 'No',
+                after: after.required ? 'Yes' : 'No'
+            });
+        }
+
+        // Valid values: compare by value, and report relabelled codes as remove + add
+        const oldValues = this.valueList(before.schema);
+        const newValues = this.valueList(after.schema);
+        const describe = (value, label) => label ? `${value}: ${label}` : value;
+        const valuesAdded = [...newValues].filter(([v, label]) => !oldValues.has(v) || oldValues.get(v) !== label)
+            .map(([v, label]) => describe(v, label));
+        const valuesRemoved = [...oldValues].filter(([v, label]) => !newValues.has(v) || newValues.get(v) !== label)
+            .map(([v, label]) => describe(v, label));
+        if (valuesAdded.length > 0 || valuesRemoved.length > 0) {
+            changes.push({
+                field: 'enum', label: 'Valid Values',
+                before: [...oldValues].map(([v, label]) => describe(v, label)).join('\n'),
+                after: [...newValues].map(([v, label]) => describe(v, label)).join('\n'),
+                added: valuesAdded,
+                removed: valuesRemoved
+            });
+        }
+
+        // Constraints, without the required flag which is reported on its own
+        const oldConstraints = renderer.formatConstraintsColumn({ ...before, required: false }, before.schema);
+        const newConstraints = renderer.formatConstraintsColumn({ ...after, required: false }, after.schema);
+        const constraintsAdded = newConstraints.filter(c => !oldConstraints.includes(c));
+        const constraintsRemoved = oldConstraints.filter(c => !newConstraints.includes(c));
+        if (constraintsAdded.length > 0 || constraintsRemoved.length > 0) {
+            changes.push({
+                field: 'constraints', label: 'Constraints',
+                before: oldConstraints.join('\n'),
+                after: newConstraints.join('\n'),
+                added: constraintsAdded,
+                removed: constraintsRemoved
+            });
+        }
+
+        return changes;
+    }
+
+    /**
+     * Collect the fixed values a schema allows (enum, const or oneOf/anyOf codes)
+     * @param {Object} schema
+     * @returns {Map<string, string>} value → label
+     */
+    valueList(schema) {
+        const values = new Map();
+        if (schema.const !== undefined) {
+            values.set(String(schema.const), schema.description || '');
+        } else if (Array.isArray(schema.enum)) {
+            const hasDescriptions = Array.isArray(schema.enumDescriptions) &&
+                schema.enumDescriptions.length === schema.enum.length;
+            schema.enum.forEach((value, index) => {
+                values.set(String(value), hasDescriptions ? String(schema.enumDescriptions[index]) : '');
+            });
+        } else {
+            const alternatives = this.renderer.getAlternatives(schema);
+            if (alternatives) {
+                for (const { value, label, isType } of this.renderer.getAlternativeValues(alternatives)) {
+                    if (!isType) values.set(value, label);
+                }
+            }
+        }
+        return values;
+    }
+
+    /**
+     * One-line summary of a variable for added / removed rows
+     * @param {Object} prop
+     * @returns {string}
+     */
+    summarize(prop) {
+        const parts = [this.renderer.formatType(prop.schema)];
+        if (prop.required) parts.push('required');
+        if (prop.schema.description) parts.push(prop.schema.description);
+        return parts.join(' · ');
+    }
+}
+
+/**
+ * Checks the loaded schemas for problems that the table would otherwise pass over
+ * silently (a $ref that resolves to nothing, enumDescriptions that don't line up with
+ * enum, blank descriptions...), for the quality panel and its Excel report
+ */
+class SchemaLinter {
+    static SEVERITY_ORDER = ['error', 'warning', 'info'];
+    static CHECKS = {
+        unresolvedRef: { severity: 'error', label: 'Unresolved $ref' },
+        unknownRequired: { severity: 'error', label: 'Required property not defined' },
+        invalidPattern: { severity: 'error', label: 'Invalid pattern' },
+        impossibleRange: { severity: 'error', label: 'Lower bound above upper bound' },
+        enumDescriptions: { severity: 'warning', label: 'enumDescriptions mismatch' },
+        duplicateName: { severity: 'warning', label: 'Duplicate variable name' },
+        unknownFormat: { severity: 'warning', label: 'Unknown format' },
+        missingDescription: { severity: 'warning', label: 'Missing description' },
+        missingTitle: { severity: 'info', label: 'Missing title' }
+    };
+    // [lower keyword, upper keyword, lower bound is exclusive, upper bound is exclusive]
+    static RANGE_KEYWORDS = [
+        ['minimum', 'maximum', false, false],
+        ['exclusiveMinimum', 'maximum', true, false],
+        ['minimum', 'exclusiveMaximum', false, true],
+        ['exclusiveMinimum', 'exclusiveMaximum', true, true],
+        ['minLength', 'maxLength', false, false],
+        ['minItems', 'maxItems', false, false],
+        ['minProperties', 'maxProperties', false, false],
+        ['minContains', 'maxContains', false, false]
+    ];
+    // Subschemas that add to the object they sit in, so their `required` may name its properties
+    static SAME_LEVEL_KEYWORDS = new Set(['allOf', 'anyOf', 'oneOf', 'if', 'then', 'else', 'not', 'dependentSchemas']);
+    // Keywords whose values are data, not subschemas
+    static VALUE_KEYWORDS = new Set(['enum', 'const', 'default', 'examples', 'enumDescriptions', 'required']);
+
+    constructor(processor) {
+        this.processor = processor;
+    }
+
+    /**
+     * @param {Object} data - Table data from processor.getTableData()
+     * @returns {{ findings: Object[], counts: { error: number, warning: number, info: number } }}
+     *   Findings are sorted by severity, then table order; key is the affected row's key, if any
+     */
+    lint(data) {
+        const findings = [];
+        const add = (check, message, { prop = null, key = prop?.key || null, location = '' } = {}) => {
+            const row = key ? data.properties.find(p => p.key === key) : null;
+            findings.push({
+                check,
+                ...SchemaLinter.CHECKS[check],
+                message,
+                key,
+                category: row?.category || '',
+                variable: row ? row.path || row.name : '',
+                location: location || row?.source || ''
+            });
+        };
+
+        // Raw property schemas → the row they produced, so document-level findings can link to a row
+        const rowKeys = new Map();
+        for (const prop of data.properties) {
+            const raw = prop.owner?.properties?.[prop.name];
+            if (raw && typeof raw === 'object' && !rowKeys.has(raw)) rowKeys.set(raw, prop.key);
+        }
+
+        // Documents loaded only as $ref targets are checked too, but aren't sections that need a title
+        for (const doc of new Set([...this.processor.schemaList, ...this.processor.schemas.values()])) {
+            const name = doc._sourceName || doc.$id || 'schema';
+            if (!doc.title && this.processor.schemaList.includes(doc)) add('missingTitle', 'Schema has no title', { location: name });
+            this.walk(doc, doc, '', null, null, rowKeys, (check, message, pointer, key) =>
+                add(check, message, { key, location: `${name}#${pointer}` }));
+        }
+
+        for (const prop of data.properties) this.lintVariable(prop, add);
+        this.lintDuplicateNames(data.properties, add);
+
+        const order = SchemaLinter.SEVERITY_ORDER;
+        findings.sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity));
+        const counts = { error: 0, warning: 0, info: 0 };
+        for (const finding of findings) counts[finding.severity]++;
+        return { findings, counts };
+    }
+
+    /**
+     * Visit every subschema of a document, checking $refs and `required` lists
+     * @param {*} node
+     * @param {Object} root - Resource the node belongs to: its document, or an embedded $id
+     * @param {string} pointer - JSON pointer of the node
+     * @param {Set<string>|null} inherited - Property names of the enclosing object, for
+     *   subschemas (allOf, then, ...) that add to it
+     * @param {string|null} rowKey - Nearest row at or above the node
+     * @param {Map<Object, string>} rowKeys
+     * @param {Function} report - (check, message, pointer, rowKey)
+     */
+    walk(node, root, pointer, inherited, rowKey, rowKeys, report) {
+        if (Array.isArray(node)) {
+            node.forEach((item, index) => this.walk(item, root, `${pointer}/${index}`, inherited, rowKey, rowKeys, report));
+            return;
+        }
+        if (!node || typeof node !== 'object') return;
+        rowKey = rowKeys.get(node) || rowKey;
+        if (this.processor.baseURIs.has(node)) root = node;
+
+        const ref = SchemaProcessor.refOf(node);
+        if (ref && !this.processor.locateRef(ref, root)) {
+            const consequence = /\/allOf\/\d+$/.test(pointer) ? ', so its properties are missing from the table' : '';
+            const claimants = this.processor.refURIs(ref, root)
+                .map(uri => this.processor.ambiguousURIs.get(uri) || this.processor.ambiguousURIs.get(uri.split('#')[0]))
+                .find(Boolean);
+            report('unresolvedRef', claimants
+                ? `"${ref}" is ambiguous: ${claimants.join(' and ')} both claim it${consequence}`
+                : `"${ref}" does not point to a loaded schema or definition${consequence}`,
+            pointer, rowKey);
+        }
+
+        let names = inherited;
+        if (node.properties || node.allOf || ref) {
+            names = new Set([...(inherited || []), ...this.propertyNames(node, root)]);
+        }
+        if (Array.isArray(node.required) && names) {
+            for (const name of node.required) {
+                if (!names.has(name)) {
+                    report('unknownRequired', `"${name}" is listed in required but there is no such property`,
+                        `${pointer}/required`, rowKey);
+                }
+            }
+        }
+
+        for (const [keyword, value] of Object.entries(node)) {
+            if (SchemaLinter.VALUE_KEYWORDS.has(keyword) || keyword.startsWith('_')) continue;
+            const childPointer = `${pointer}/${keyword.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+            if (keyword === 'properties' || keyword === '$defs' || keyword === 'definitions' ||
+                keyword === 'dependentSchemas' || keyword === 'dependencies' || keyword === 'patternProperties') {
+                // Maps of name → subschema
+                if (!value || typeof value !== 'object') continue;
+                const childNames = keyword === 'dependentSchemas' || keyword === 'dependencies' ? names : null;
+                for (const [name, child] of Object.entries(value)) {
+                    const escaped = name.replace(/~/g, '~0').replace(/\//g, '~1');
+                    this.walk(child, root, `${childPointer}/${escaped}`, childNames, rowKey, rowKeys, report);
+                }
+            } else {
+                const childNames = SchemaLinter.SAME_LEVEL_KEYWORDS.has(keyword) ? names : null;
+                this.walk(value, root, childPointer, childNames, rowKey, rowKeys, report);
+            }
+        }
+    }
+
+    /**
+     * Names of the properties an object schema defines, through its allOf entries and $ref too
+     * @param {Object} schema
+     * @param {Object} doc - Document "#/..." refs resolve against
+     * @returns {Set<string>}
+     */
+    propertyNames(schema, doc, seen = new Set()) {
+        const names = new Set();
+        if (!schema || typeof schema !== 'object' || seen.has(schema)) return names;
+        seen.add(schema);
+
+        for (const name of Object.keys(schema.properties || {})) names.add(name);
+        const ref = SchemaProcessor.refOf(schema);
+        if (ref) {
+            const located = this.processor.locateRef(ref, doc);
+            if (located) this.propertyNames(located.schema, located.root, seen).forEach(name => names.add(name));
+        }
+        for (const sub of Array.isArray(schema.allOf) ? schema.allOf : []) {
+            this.propertyNames(sub, doc, seen).forEach(name => names.add(name));
+        }
+        return names;
+    }
+
+    /**
+     * Checks on one table row's resolved schema, and its array items schema
+     * @param {Object} prop - Row from getTableData
+     * @param {Function} add
+     */
+    lintVariable(prop, add) {
+        const schema = prop.schema;
+
+        if (typeof schema.description !== 'string' || !schema.description.trim()) {
+            add('missingDescription', 'No description, so the Description cell is blank', { prop });
+        }
+
+        if (schema.enumDescriptions !== undefined) {
+            const values = Array.isArray(schema.enum) ? schema.enum.length : 0;
+            const descriptions = Array.isArray(schema.enumDescriptions) ? schema.enumDescriptions.length : 0;
+            if (values !== descriptions) {
+                add('enumDescriptions',
+                    `enum has ${values} value${values === 1 ? '' : 's'} but enumDescriptions has ${descriptions}, so the descriptions are not shown`,
+                    { prop });
+            }
+        }
+
+        const items = schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items) ? schema.items : null;
+        for (const [prefix, node] of [['', schema], ['items: ', items]]) {
+            if (!node) continue;
+
+            if (typeof node.pattern === 'string') {
+                try {
+                    new RegExp(node.pattern, 'u');
+                } catch (error) {
+                    add('invalidPattern', `${prefix}pattern ${node.pattern} is not a valid regular expression (${error.message})`, { prop });
+                }
+            }
+
+            for (const [low, high, lowExclusive, highExclusive] of SchemaLinter.RANGE_KEYWORDS) {
+                if (typeof node[low] !== 'number' || typeof node[high] !== 'number') continue;
+                const empty = lowExclusive || highExclusive ? node[low] >= node[high] : node[low] > node[high];
+                if (empty) {
+                    add('impossibleRange', `${prefix}${low} ${node[low]} and ${high} ${node[high]} leave no valid values`, { prop });
+                }
+            }
+
+            if (typeof node.format === 'string' && !TableRenderer.FORMAT_DESCRIPTIONS[node.format]) {
+                add('unknownFormat', `${prefix}format "${node.format}" is not a standard JSON Schema format, so it is not checked`, { prop });
+            }
+        }
+    }
+
+    /**
+     * Flag top-level variables whose name appears in more than one section
+     * @param {Object[]} properties
+     * @param {Function} add
+     */
+    lintDuplicateNames(properties, add) {
+        const byName = new Map();
+        for (const prop of properties) {
+            if (prop.arrayParent || prop.depth > 0 || !prop.category) continue;
+            if (!byName.has(prop.name)) byName.set(prop.name, []);
+            byName.get(prop.name).push(prop);
+        }
+
+        for (const [name, props] of byName) {
+            const categories = [...new Set(props.map(p => p.category))];
+            if (categories.length < 2) continue;
+            for (const prop of props) {
+                const others = categories.filter(c => c !== prop.category);
+                add('duplicateName', `"${name}" is also a variable in ${others.join(', ')}`, { prop });
+            }
+        }
+    }
+}
+
+/**
+ * Checks data records against the resolved variables of a data dictionary
+ * (SchemaProcessor.getTableData) and summarises the problems per variable
+ */
+class DataValidator {
+    // Example bad values kept per variable for the table
+    static MAX_EXAMPLES = 3;
+    // Cap on the detailed error list, so a badly mismatched file can't exhaust memory
+    static MAX_ERRORS = 50000;
+
+    /**
+     * Parse a CSV, TSV, JSON or NDJSON data file into records
+     * @param {string} text - File contents
+     * @param {string} fileName - Used to pick the format by extension
+     * @returns {{ records: Object[], format: string }}
+     */
+    static parseDataFile(text, fileName = '') {
+        const ext = fileName.toLowerCase().split('.').pop();
+
+        if (ext === 'csv' || ext === 'tsv') {
+            return { records: DataValidator.parseCSV(text, ext === 'tsv' ? '\t' : ','), format: ext };
+        }
+        if (ext === 'ndjson' || ext === 'jsonl') {
+            return { records: DataValidator.parseNDJSON(text), format: 'ndjson' };
+        }
+
+        try {
+            const parsed = JSON.parse(text);
+            return { records: Array.isArray(parsed) ? parsed : [parsed], format: 'json' };
+        } catch (error) {
+            if (ext === 'json') throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        // Unknown extension: NDJSON if every line is JSON, otherwise CSV
+        try {
+            return { records: DataValidator.parseNDJSON(text), format: 'ndjson' };
+        } catch {
+            return { records: DataValidator.parseCSV(text, ','), format: 'csv' };
+        }
+    }
+
+    /**
+     * @param {string} text
+     * @returns {Object[]}
+     */
+    static parseNDJSON(text) {
+        return text.split(/\r?\n/).map((line, index) => {
+            if (!line.trim()) return null;
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Line ${index + 1} is not valid JSON: ${error.message}`);
+            }
+        }).filter(record => record !== null);
+    }
+
+    /**
+     * Parse delimited text with a header row (RFC 4180 quoting). Values stay strings;
+     * they are coerced per variable during validation.
+     * @param {string} text
+     * @param {string} delimiter
+     * @returns {Object[]}
+     */
+    static parseCSV(text, delimiter = ',') {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (inQuotes) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    inQuotes = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"') {
+                inQuotes = true;
+            } else if (ch === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        const nonEmpty = rows.filter(r => r.some(cell => cell !== ''));
+        if (nonEmpty.length === 0) return [];
+
+        const headers = nonEmpty[0].map(h => h.replace(/^\uFEFF/, '').trim());
+        return nonEmpty.slice(1).map(cells => {
+            const record = {};
+            headers.forEach((header, index) => { record[header] = cells[index] ?? ''; });
+            return record;
+        });
+    }
+
+    /**
+     * Look up a dotted path in a record. Flat keys (a CSV header "address.city")
+     * take precedence over nested objects.
+     * @param {Object} record
+     * @param {string} path
+     * @returns {{ found: boolean, value: *, parentFound: boolean }}
+     */
+    static getValue(record, path) {
+        if (record !== null && typeof record === 'object' && Object.prototype.hasOwnProperty.call(record, path)) {
+            // A flat column's object is only there when one of its columns has a value
+            const prefix = path.substring(0, path.lastIndexOf('.') + 1);
+            const parentFound = !prefix || Object.keys(record).some(key =>
+                key.startsWith(prefix) && record[key] !== undefined && record[key] !== '');
+            return { found: record[path] !== undefined, value: record[path], parentFound };
+        }
+
+        const segments = path.split('.');
+        const last = segments.pop();
+        let current = record;
+        for (const segment of segments) {
+            current = current?.[segment];
+        }
+        if (current === null || typeof current !== 'object' || Array.isArray(current)) {
+            return { found: false, value: undefined, parentFound: false };
+        }
+        const found = Object.prototype.hasOwnProperty.call(current, last);
+        return { found, value: found ? current[last] : undefined, parentFound: true };
+    }
+
+    /**
+     * The elements of an array row's items in a record, following arrays nested in
+     * array items ("kids[].pets") through every element of each enclosing array
+     * @param {Object} record
+     * @param {string} arrayParent - Row arrayParent from extractProperties
+     * @param {boolean} coerceStrings - Read arrays from JSON text (CSV/TSV sources)
+     * @returns {Array}
+     */
+    static getArrayItems(record, arrayParent, coerceStrings = false) {
+        let items = [record];
+        for (const path of arrayParent.split('[].')) {
+            items = items.flatMap(item => {
+                let { found, value } = DataValidator.getValue(item, path);
+                if (found && coerceStrings && typeof value === 'string') value = DataValidator.parseJSONCell(value);
+                return found && Array.isArray(value) ? value : [];
+            });
+        }
+        return items;
+    }
+
+    /**
+     * Check whether a schema (or any of its oneOf/anyOf branches) accepts a JSON type
+     * @param {Object} schema
+     * @param {string} type - 'number' or 'boolean'
+     * @returns {boolean}
+     */
+    static allows(schema, type) {
+        if (!schema || typeof schema !== 'object') return false;
+        const types = [].concat(schema.type || []);
+        if (types.includes(type) || (type === 'number' && types.includes('integer'))) return true;
+        if (type === 'null' && (schema.const === null || schema.enum?.includes(null))) return true;
+        if (typeof schema.const === type) return true;
+        if (Array.isArray(schema.enum) && schema.enum.some(v => typeof v === type)) return true;
+        return [...(schema.oneOf || []), ...(schema.anyOf || [])].some(b => DataValidator.allows(b, type));
+    }
+
+    /**
+     * Turn a CSV cell into the JSON value the schema expects. Empty cells are missing;
+     * arrays and objects are read from JSON text, as DataGenerator writes them.
+     * @param {string} raw
+     * @param {Object} schema
+     * @returns {*}
+     */
+    static coerceCSVValue(raw, schema) {
+        if (raw === '') return undefined;
+        const trimmed = raw.trim();
+        if (/^[[{]/.test(trimmed) && (DataValidator.allows(schema, 'array') || DataValidator.allows(schema, 'object'))) {
+            const parsed = DataValidator.parseJSONCell(trimmed);
+            if (parsed !== undefined) return parsed;
+        }
+        if (trimmed === 'null' && DataValidator.allows(schema, 'null')) return null;
+        if (trimmed !== '' && !isNaN(Number(trimmed)) && DataValidator.allows(schema, 'number')) {
+            return Number(trimmed);
+        }
+        if (/^(true|false)$/i.test(trimmed) && DataValidator.allows(schema, 'boolean')) {
+            return trimmed.toLowerCase() === 'true';
+        }
+        return raw;
+    }
+
+    /**
+     * An array or object written into a CSV cell as JSON text
+     * @param {string} text
+     * @returns {Array|Object|undefined} Undefined when the text is not one
+     */
+    static parseJSONCell(text) {
+        if (!/^\s*[[{]/.test(text)) return undefined;
+        try {
+            const value = JSON.parse(text);
+            return value !== null && typeof value === 'object' ? value : undefined;
+        } catch {
+            return undefined;
+        }
+    }
+
+    /**
+     * JSON Schema type test for a single value
+     * @param {*} value
+     * @param {string} type
+     * @returns {boolean}
+     */
+    static matchesType(value, type) {
+        switch (type) {
+            case 'null': return value === null;
+            case 'boolean': return typeof value === 'boolean';
+            case 'integer': return typeof value === 'number' && Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'string': return typeof value === 'string';
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            default: return true;
+        }
+    }
+
+    /**
+     * Validate one value against a variable's schema
+     * @param {*} value
+     * @param {Object} schema
+     * @returns {string[]} Error messages, empty when the value is valid
+     */
+    validateValue(value, schema) {
+        if (!schema || typeof schema !== 'object') return [];
+        const errors = [];
+        const literal = SchemaProcessor.formatLiteral;
+
+        if (schema.type !== undefined) {
+            const types = [].concat(schema.type);
+            if (!types.some(t => DataValidator.matchesType(value, t))) {
+                errors.push(`Expected ${types.join(' or ')}`);
+                return errors; // further keyword checks would only repeat the type error
+            }
+        }
+
+        if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+            errors.push(`Must be ${literal(schema.const)}`);
+        }
+        if (Array.isArray(schema.enum) && !schema.enum.some(v => JSON.stringify(v) === JSON.stringify(value))) {
+            errors.push('Not one of the valid values');
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) errors.push(`Below minimum ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) errors.push(`Above maximum ${schema.maximum}`);
+            if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+                errors.push(`Must be > ${schema.exclusiveMinimum}`);
+            }
+            if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+                errors.push(`Must be < ${schema.exclusiveMaximum}`);
+            }
+            if (schema.multipleOf) {
+                const quotient = value / schema.multipleOf;
+                if (Math.abs(quotient - Math.round(quotient)) > 1e-9) errors.push(`Not a multiple of ${schema.multipleOf}`);
+            }
+        }
+
+        if (typeof value === 'string') {
+            const length = [...value].length;
+            if (schema.minLength !== undefined && length < schema.minLength) errors.push(`Shorter than ${schema.minLength} chars`);
+            if (schema.maxLength !== undefined && length > schema.maxLength) errors.push(`Longer than ${schema.maxLength} chars`);
+            if (schema.pattern) {
+                try {
+                    if (!new RegExp(schema.pattern, 'u').test(value)) errors.push(`Does not match pattern ${schema.pattern}`);
+                } catch { /* invalid pattern in the schema — nothing to check against */ }
+            }
+            if (schema.format && !DataValidator.matchesFormat(value, schema.format)) {
+                errors.push(`Not a valid ${schema.format}`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`Fewer than ${schema.minItems} items`);
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`More than ${schema.maxItems} items`);
+            if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) {
+                errors.push('Items are not unique');
+            }
+        }
+
+        if (Array.isArray(schema.oneOf)) {
+            const matches = schema.oneOf.filter(branch => this.validateValue(value, branch).length === 0).length;
+            if (matches !== 1) errors.push(matches === 0 ? 'Matches none of the alternatives' : 'Matches more than one alternative');
+        }
+        if (Array.isArray(schema.anyOf) && !schema.anyOf.some(branch => this.validateValue(value, branch).length === 0)) {
+            errors.push('Matches none of the alternatives');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check the string formats that can be verified without a full parser
+     * @param {string} value
+     * @param {string} format
+     * @returns {boolean} True when valid or when the format isn't checked
+     */
+    static matchesFormat(value, format) {
+        switch (format) {
+            case 'date': {
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+                const date = new Date(`${value}T00:00:00Z`);
+                return !isNaN(date) && date.toISOString().startsWith(value);
+            }
+            case 'date-time':
+                return /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/.test(value) && !isNaN(Date.parse(value));
+            case 'time':
+                return /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?$/.test(value);
+            case 'email':
+                return /^[^\s@]+@[^\s@]+$/.test(value);
+            case 'uuid':
+                return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+            case 'ipv4':
+                return /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/.test(value);
+            case 'uri':
+                try {
+                    new URL(value);
+                    return true;
+                } catch {
+                    return false;
+                }
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Validate every record against every variable of the dictionary
+     * @param {Object} data - Table data with properties array
+     * @param {Object[]} records - Parsed data records
+     * @param {{ coerceStrings?: boolean }} options - coerceStrings for CSV/TSV sources
+     * @returns {{ recordCount: number, errors: Array, byProp: Map<Object, Object>,
+     *   totals: { invalid: number, missing: number, variablesWithErrors: number }, truncated: boolean }}
+     */
+    validate(data, records, { coerceStrings = false } = {}) {
+        const byProp = new Map();
+        const errors = [];
+        let truncated = false;
+
+        for (const prop of data.properties) {
+            byProp.set(prop, { checked: 0, invalid: 0, missing: 0, examples: [] });
+        }
+
+        // Array items read from a CSV cell's JSON text already have their JSON types
+        const check = (prop, container, recordIndex, fromCell = coerceStrings) => {
+            const stats = byProp.get(prop);
+            const path = prop.path || prop.name;
+            let { found, value, parentFound } = DataValidator.getValue(container, path);
+
+            if (found && fromCell && typeof value === 'string') {
+                value = DataValidator.coerceCSVValue(value, prop.schema);
+                found = value !== undefined;
+            }
+
+            let messages;
+            if (!found) {
+                if (!prop.required || !parentFound) return;
+                stats.missing++;
+                messages = ['Missing required value'];
+            } else {
+                stats.checked++;
+                messages = this.validateValue(value, prop.schema);
+                if (messages.length === 0) return;
+                stats.invalid++;
+                const example = SchemaProcessor.formatLiteral(value);
+                if (stats.examples.length < DataValidator.MAX_EXAMPLES && !stats.examples.includes(example)) {
+                    stats.examples.push(example);
+                }
+            }
+
+            if (errors.length < DataValidator.MAX_ERRORS) {
+                errors.push({
+                    record: recordIndex + 1,
+                    category: prop.category || '',
+                    path: SchemaProcessor.rowPath(prop),
+                    value: found ? value : undefined,
+                    message: messages.join('; ')
+                });
+            } else {
+                truncated = true;
+            }
+        };
+
+        records.forEach((record, recordIndex) => {
+            for (const prop of data.properties) {
+                if (prop.arrayParent) {
+                    // Array item variables are checked in every element of the parent array
+                    DataValidator.getArrayItems(record, prop.arrayParent, coerceStrings)
+                        .forEach(item => check(prop, item, recordIndex, false));
+                } else {
+                    check(prop, record, recordIndex);
+                }
+            }
+        });
+
+        let invalid = 0;
+        let missing = 0;
+        let variablesWithErrors = 0;
+        for (const stats of byProp.values()) {
+            invalid += stats.invalid;
+            missing += stats.missing;
+            if (stats.invalid > 0 || stats.missing > 0) variablesWithErrors++;
+        }
+
+        return {
+            recordCount: records.length,
+            errors,
+            byProp,
+            totals: { invalid, missing, variablesWithErrors },
+            truncated
+        };
+    }
+}
+
+/**
+ * Makes up example records that fit the variables of a data dictionary
+ * (SchemaProcessor.getTableData), for testing pipelines and training. The same seed
+ * always gives the same records.
+ */
+class DataGenerator {
+    // Upper bound for open-ended quantifiers and item counts, to keep values readable
+    static MAX_REPEAT = 5;
+    // Attempts at a value that passes the schema's checks before settling for the last one
+    static MAX_ATTEMPTS = 20;
+    static WORDS = ['alpha', 'bravo', 'cedar', 'delta', 'ember', 'fjord', 'garnet', 'harbor', 'indigo', 'juniper',
+        'kestrel', 'lumen', 'maple', 'nectar', 'onyx', 'pebble', 'quartz', 'raven', 'sierra', 'tundra'];
+
+    /**
+     * @param {{ seed?: number|string, missingRate?: number }} options - missingRate: chance that
+     *   an optional variable is left out of a record (0-1)
+     */
+    constructor({ seed = 1, missingRate = 0.1 } = {}) {
+        this.random = DataGenerator.createRandom(seed);
+        this.missingRate = missingRate;
+        this.validator = new DataValidator();
+        // Variables the last generate() made values for that still fail their schema: row path → why
+        this.warnings = new Map();
+        // Patterns fromPattern can't generate from → why, so their variables get plain text
+        this.unsupportedPatterns = new Map();
+    }
+
+    /**
+     * Seeded pseudo-random number generator (mulberry32); strings are hashed to a seed
+     * @param {number|string} seed
+     * @returns {function(): number} Returns numbers in [0, 1)
+     */
+    static createRandom(seed) {
+        let state = 0;
+        for (const ch of String(seed)) state = Math.imul(state ^ ch.codePointAt(0), 2654435761) >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    integer(min, max) {
+        return min + Math.floor(this.random() * (max - min + 1));
+    }
+
+    pick(values) {
+        return values[Math.floor(this.random() * values.length)];
+    }
+
+    /**
+     * Make up records for the table data. Variables whose values could not be made to
+     * fit their schema are listed in warnings afterwards.
+     * @param {Object} data - Table data with properties array
+     * @param {number} count - Number of records
+     * @returns {Object[]}
+     */
+    generate(data, count) {
+        this.warnings = new Map();
+        const root = DataGenerator.buildTree(data.properties);
+        return Array.from({ length: count }, () => this.generateObject(root));
+    }
+
+    /**
+     * Group the flat table rows into the shape of a record: rows with an arrayParent are
+     * the item fields of the closest array row before them with that path
+     * @param {Object[]} properties
+     * @returns {Object[]} Top-level rows, array rows with their item rows as children
+     */
+    static buildTree(properties) {
+        const root = [];
+        const arrays = [];
+        for (const prop of properties) {
+            const node = { prop, children: [] };
+            const parent = prop.arrayParent
+                ? arrays.findLast(array => SchemaProcessor.rowPath(array.prop) === prop.arrayParent)
+                : null;
+            (parent ? parent.children : root).push(node);
+            if (SchemaProcessor.hasType(prop.schema, 'array')) arrays.push(node);
+        }
+        return root;
+    }
+
+    /**
+     * One record (or array item) from its rows. Nested object rows ("address.city") are
+     * written along their dotted path; a left-out object takes its fields with it.
+     * @param {Object[]} nodes - From buildTree
+     * @returns {Object}
+     */
+    generateObject(nodes) {
+        const record = {};
+        const omitted = [];
+
+        for (const { prop, children } of nodes) {
+            const path = prop.path || prop.name;
+            if (omitted.some(prefix => path.startsWith(`${prefix}.`))) continue;
+            if (!prop.required && this.random() < this.missingRate) {
+                omitted.push(path);
+                continue;
+            }
+
+            let value;
+            if (children.length > 0) {
+                const { min, max } = this.itemCount(prop.schema);
+                value = Array.from({ length: this.integer(min, max) }, () => this.generateObject(children));
+            } else if (prop.schema.properties && !prop.schema.const && !prop.schema.enum) {
+                value = {}; // its fields follow as rows of their own
+            } else {
+                let messages;
+                ({ value, messages } = this.tryValue(prop.schema));
+                if (messages.length > 0) this.warn(prop, messages);
+            }
+            DataGenerator.setValue(record, path, value);
+        }
+        return record;
+    }
+
+    static setValue(record, path, value) {
+        const segments = path.split('.');
+        const last = segments.pop();
+        let current = record;
+        for (const segment of segments) {
+            if (current[segment] === null || typeof current[segment] !== 'object') current[segment] = {};
+            current = current[segment];
+        }
+        // Keep fields already written below an object row
+        if (value && typeof value === 'object' && !Array.isArray(value) && current[last] && typeof current[last] === 'object') return;
+        current[last] = value;
+    }
+
+    itemCount(schema) {
+        const min = schema.minItems ?? 1;
+        const max = Math.max(min, schema.maxItems ?? Math.min(min + 2, min + DataGenerator.MAX_REPEAT));
+        return { min, max };
+    }
+
+    /**
+     * Note a variable whose made-up value fails its schema, once
+     * @param {Object} prop - Table row
+     * @param {string[]} messages - DataValidator messages for the value
+     */
+    warn(prop, messages) {
+        const path = SchemaProcessor.rowPath(prop);
+        if (this.warnings.has(path)) return;
+        const unsupported = this.unsupportedPatterns.get(prop.schema.pattern);
+        this.warnings.set(path, unsupported
+            ? `values don't match the pattern ${prop.schema.pattern}, which can't be generated from (${unsupported})`
+            : `values don't fit the schema: ${messages.join('; ')}`);
+    }
+
+    /**
+     * A value the schema accepts, retrying until DataValidator agrees
+     * @param {Object} schema
+     * @returns {*}
+     */
+    generateValue(schema, depth = 0) {
+        return this.tryValue(schema, depth).value;
+    }
+
+    /**
+     * Like generateValue, with why the value still fails after the last attempt
+     * @param {Object} schema
+     * @returns {{ value: *, messages: string[] }} messages is empty when the value is valid
+     */
+    tryValue(schema, depth = 0) {
+        let value;
+        let messages = [];
+        for (let attempt = 0; attempt < DataGenerator.MAX_ATTEMPTS; attempt++) {
+            value = this.makeValue(schema, depth);
+            messages = this.validator.validateValue(value, schema);
+            if (messages.length === 0) break;
+        }
+        return { value, messages };
+    }
+
+    makeValue(schema, depth) {
+        if (!schema || typeof schema !== 'object') return null;
+        if (schema.const !== undefined) return schema.const;
+        if (Array.isArray(schema.enum) && schema.enum.length > 0) return this.pick(schema.enum);
+
+        const branches = schema.oneOf || schema.anyOf;
+        if (Array.isArray(branches) && branches.length > 0) {
+            const { oneOf, anyOf, ...rest } = schema;
+            return this.makeValue({ ...rest, ...this.pick(branches) }, depth);
+        }
+
+        const types = [].concat(schema.type || []);
+        const nonNull = types.filter(type => type !== 'null');
+        const type = nonNull.length > 0 ? this.pick(nonNull) : (types[0] || this.inferType(schema));
+
+        switch (type) {
+            case 'null': return null;
+            case 'boolean': return this.random() < 0.5;
+            case 'integer': return this.makeNumber(schema, true);
+            case 'number': return this.makeNumber(schema, false);
+            case 'array': {
+                if (depth > SchemaProcessor.MAX_NESTING_DEPTH) return [];
+                const { min, max } = this.itemCount(schema);
+                const items = schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items) ? schema.items : {};
+                const values = [];
+                const seen = new Set();
+                for (let attempt = 0; values.length < this.integer(min, max) && attempt < max * DataGenerator.MAX_ATTEMPTS; attempt++) {
+                    const value = this.generateValue(items, depth + 1);
+                    const key = JSON.stringify(value);
+                    if (schema.uniqueItems && seen.has(key)) continue;
+                    seen.add(key);
+                    values.push(value);
+                }
+                return values;
+            }
+            case 'object': {
+                const object = {};
+                if (depth > SchemaProcessor.MAX_NESTING_DEPTH) return object;
+                for (const [name, propSchema] of Object.entries(schema.properties || {})) {
+                    if (schema.required?.includes(name) || this.random() >= this.missingRate) {
+                        object[name] = this.generateValue(propSchema, depth + 1);
+                    }
+                }
+                return object;
+            }
+            default: return this.makeString(schema);
+        }
+    }
+
+    inferType(schema) {
+        if (schema.minimum !== undefined || schema.maximum !== undefined || schema.multipleOf) return 'number';
+        if (schema.items || schema.minItems !== undefined) return 'array';
+        if (schema.properties) return 'object';
+        return 'string';
+    }
+
+    makeNumber(schema, integer) {
+        let min = schema.minimum ?? (typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum : undefined);
+        let max = schema.maximum ?? (typeof schema.exclusiveMaximum === 'number' ? schema.exclusiveMaximum : undefined);
+        if (min === undefined && max === undefined) [min, max] = [0, 100];
+        else if (min === undefined) min = max - 100;
+        else if (max === undefined) max = min + 100;
+
+        const step = schema.multipleOf || (integer ? 1 : 0);
+        if (step) {
+            const low = Math.ceil(min / step);
+            const high = Math.floor(max / step);
+            if (low > high) return min;
+            const value = this.integer(low, high) * step;
+            // Tidy floating-point noise from decimal steps (0.1 * 3)
+            return Number(value.toPrecision(12));
+        }
+        return Math.round((min + this.random() * (max - min)) * 100) / 100;
+    }
+
+    makeString(schema) {
+        if (schema.format && DataGenerator.FORMATS[schema.format]) {
+            return DataGenerator.FORMATS[schema.format](this);
+        }
+        if (schema.pattern) {
+            try {
+                return this.fromPattern(schema.pattern);
+            } catch (error) {
+                // Unsupported syntax — fall back to plain text, which generate() warns about
+                this.unsupportedPatterns.set(schema.pattern, error.message);
+            }
+        }
+
+        const min = schema.minLength ?? 0;
+        const max = schema.maxLength ?? Math.max(min, 12);
+        const length = this.integer(Math.max(min, Math.min(3, max)), Math.max(min, Math.min(max, min + 12)));
+        let text = '';
+        while (text.length < length) text += (text ? ' ' : '') + this.pick(DataGenerator.WORDS);
+        return text.slice(0, length).trimEnd().padEnd(length, 'x');
+    }
+
+    // Example values for the formats in TableRenderer.FORMAT_DESCRIPTIONS
+    static FORMATS = {
+        'date': g => DataGenerator.isoDate(g).slice(0, 10),
+        'date-time': g => `${DataGenerator.isoDate(g).slice(0, 19)}Z`,
+        'time': g => `${DataGenerator.isoDate(g).slice(11, 19)}Z`,
+        'duration': g => `P${g.integer(0, 3)}DT${g.integer(0, 23)}H${g.integer(0, 59)}M`,
+        'email': g => `${g.pick(DataGenerator.WORDS)}.${g.pick(DataGenerator.WORDS)}@example.org`,
+        'idn-email': g => `${g.pick(DataGenerator.WORDS)}@exämple.org`,
+        'hostname': g => `${g.pick(DataGenerator.WORDS)}.example.com`,
+        'idn-hostname': g => `${g.pick(DataGenerator.WORDS)}.exämple.com`,
+        'ipv4': g => Array.from({ length: 4 }, () => g.integer(0, 255)).join('.'),
+        'ipv6': g => Array.from({ length: 8 }, () => g.integer(0, 0xffff).toString(16)).join(':'),
+        'uuid': g => 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c =>
+            (c === 'x' ? g.integer(0, 15) : g.integer(8, 11)).toString(16)),
+        'uri': g => `https://example.org/${g.pick(DataGenerator.WORDS)}/${g.integer(1, 999)}`,
+        'uri-reference': g => `/${g.pick(DataGenerator.WORDS)}/${g.integer(1, 999)}`,
+        'iri': g => `https://exämple.org/${g.pick(DataGenerator.WORDS)}`,
+        'iri-reference': g => `/${g.pick(DataGenerator.WORDS)}`,
+        'uri-template': g => `https://example.org/${g.pick(DataGenerator.WORDS)}/{id}`,
+        'json-pointer': g => `/${g.pick(DataGenerator.WORDS)}/${g.integer(0, 9)}`,
+        'relative-json-pointer': g => `${g.integer(0, 3)}/${g.pick(DataGenerator.WORDS)}`,
+        'regex': g => `^${g.pick(DataGenerator.WORDS)}[0-9]+$`
+    };
+
+    static isoDate(generator) {
+        const start = Date.UTC(1950, 0, 1);
+        const end = Date.UTC(2025, 11, 31);
+        return new Date(start + Math.floor(generator.random() * (end - start))).toISOString();
+    }
+
+    /**
+     * A string matching a regular expression. Supports literals, escapes (\d \w \s,
+     * \uXXXX \u{…} \xHH), character classes, groups with alternation and quantifiers;
+     * anchors are implied.
+     * @param {string} pattern
+     * @returns {string}
+     * @throws {Error} On syntax it can't generate from, e.g. backreferences or lookarounds
+     */
+    fromPattern(pattern) {
+        let pos = 0;
+        const DIGITS = '0123456789';
+        const WORD = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789_';
+        const PRINTABLE = Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)).join('');
+
+        const escapeSet = ch => ({ d: DIGITS, w: WORD, s: ' ' })[ch] ?? null;
+        // One character, or every character of a set (\d), as a string
+        const readEscape = () => {
+            const ch = pattern[pos++];
+            if (ch === undefined) throw new Error('Trailing backslash');
+            if (ch === 'u' && pattern[pos] === '{') {
+                const end = pattern.indexOf('}', pos);
+                const hex = end === -1 ? '' : pattern.slice(pos + 1, end);
+                if (!/^[0-9a-fA-F]{1,6}$/.test(hex)) throw new Error('Malformed escape \\u{…}');
+                pos = end + 1;
+                return String.fromCodePoint(parseInt(hex, 16));
+            }
+            if (ch === 'u' || ch === 'x') {
+                const length = ch === 'u' ? 4 : 2;
+                const hex = pattern.slice(pos, pos + length);
+                if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(hex)) throw new Error(`Malformed escape \\${ch}${hex}`);
+                pos += length;
+                return String.fromCharCode(parseInt(hex, 16));
+            }
+            const set = escapeSet(ch);
+            if (set) return set;
+            if (/[DWS]/.test(ch)) {
+                const excluded = escapeSet(ch.toLowerCase());
+                return [...PRINTABLE].filter(c => !excluded.includes(c)).join('');
+            }
+            const control = ({ t: '\t', n: '\n', r: '\r', f: '\f', v: '\v' })[ch];
+            if (control) return control;
+            // Backreferences, \b, \p{…}, \c… and the like
+            if (/[a-zA-Z0-9]/.test(ch)) throw new Error(`Unsupported escape \\${ch}`);
+            return ch;
+        };
+
+        const readClass = () => {
+            const negated = pattern[pos] === '^';
+            if (negated) pos++;
+            const chars = [];
+            let first = true;
+            while (pos < pattern.length && (pattern[pos] !== ']' || first)) {
+                first = false;
+                let start = pattern[pos++];
+                if (start === '\\') {
+                    const set = [...readEscape()];
+                    if (set.length > 1) {
+                        chars.push(...set);
+                        continue;
+                    }
+                    start = set[0];
+                }
+                if (pattern[pos] === '-' && pattern[pos + 1] !== ']' && pos + 1 < pattern.length) {
+                    pos++;
+                    let end = pattern[pos++];
+                    if (end === '\\') end = readEscape();
+                    if ([...end].length > 1) throw new Error('Range to a character set');
+                    for (let code = start.codePointAt(0); code <= end.codePointAt(0); code++) chars.push(String.fromCodePoint(code));
+                } else {
+                    chars.push(start);
+                }
+            }
+            if (pattern[pos] !== ']') throw new Error('Unclosed character class');
+            pos++;
+            return negated ? [...PRINTABLE].filter(c => !chars.includes(c)) : chars;
+        };
+
+        // Returns a function that produces one random match of the sub-pattern
+        const parseAlternatives = () => {
+            const options = [parseSequence()];
+            while (pattern[pos] === '|') {
+                pos++;
+                options.push(parseSequence());
+            }
+            return () => this.pick(options)();
+        };
+
+        const parseSequence = () => {
+            const parts = [];
+            while (pos < pattern.length && pattern[pos] !== '|' && pattern[pos] !== ')') {
+                let atom;
+                const ch = pattern[pos++];
+                if (ch === '^' || ch === '$') continue;
+                if (ch === '(') {
+                    if (pattern[pos] === '?') {
+                        if (pattern[pos + 1] !== ':') throw new Error('Unsupported group');
+                        pos += 2;
+                    }
+                    atom = parseAlternatives();
+                    if (pattern[pos++] !== ')') throw new Error('Unclosed group');
+                } else if (ch === '[') {
+                    const set = readClass();
+                    atom = () => this.pick(set);
+                } else if (ch === '\\') {
+                    const set = [...readEscape()];
+                    atom = () => this.pick(set);
+                } else if (ch === '.') {
+                    atom = () => this.pick(WORD);
+                } else {
+                    atom = () => ch;
+                }
+
+                let [min, max] = [1, 1];
+                const quantifier = pattern.slice(pos).match(/^(\*|\+|\?|\{(\d+)(,(\d*))?\})/);
+                if (quantifier) {
+                    pos += quantifier[0].length;
+                    if (quantifier[1] === '*') [min, max] = [0, DataGenerator.MAX_REPEAT];
+                    else if (quantifier[1] === '+') [min, max] = [1, DataGenerator.MAX_REPEAT];
+                    else if (quantifier[1] === '?') [min, max] = [0, 1];
+                    else {
+                        min = Number(quantifier[2]);
+                        max = quantifier[3] === undefined ? min
+                            : quantifier[4] === '' ? min + DataGenerator.MAX_REPEAT : Number(quantifier[4]);
+                    }
+                    if (pattern[pos] === '?') pos++; // lazy — same matches
+                }
+                const repeat = atom;
+                parts.push(() => {
+                    let text = '';
+                    for (let i = this.integer(min, max); i > 0; i--) text += repeat();
+                    return text;
+                });
+            }
+            return () => parts.map(part => part()).join('');
+        };
+
+        const generate = parseAlternatives();
+        if (pos < pattern.length) throw new Error(`Unexpected "${pattern[pos]}"`);
+        return generate();
+    }
+
+    /**
+     * Write records as CSV (nested fields as dotted columns, arrays as JSON text),
+     * JSON (an array) or NDJSON (one record per line)
+     * @param {Object[]} records
+     * @param {string} format - 'csv', 'json' or 'ndjson'
+     * @returns {string}
+     */
+    static serialize(records, format) {
+        if (format === 'json') return JSON.stringify(records, null, 2);
+        if (format === 'ndjson') return records.map(record => JSON.stringify(record)).join('\n');
+        if (format !== 'csv') throw new Error(`Unknown example data format: ${format}`);
+
+        const flatten = (value, prefix, row) => {
+            for (const [key, field] of Object.entries(value)) {
+                const path = prefix ? `${prefix}.${key}` : key;
+                if (field !== null && typeof field === 'object' && !Array.isArray(field)) flatten(field, path, row);
+                else row[path] = Array.isArray(field) ? JSON.stringify(field) : field;
+            }
+            return row;
+        };
+        const rows = records.map(record => flatten(record, '', {}));
+        // A column first seen in a later row (an optional value the earlier rows left out)
+        // goes next to the column it follows in that row, not at the end
+        const headers = [];
+        for (const row of rows) {
+            let previous = -1;
+            for (const key of Object.keys(row)) {
+                let index = headers.indexOf(key);
+                if (index === -1) {
+                    index = previous + 1;
+                    headers.splice(index, 0, key);
+                }
+                previous = index;
+            }
+        }
+        // Empty cells read back as missing values, so null is written out
+        const cell = value => {
+            const text = value === undefined ? '' : value === null ? 'null' : String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [headers, ...rows.map(row => headers.map(header => row[header]))]
+            .map(values => values.map(cell).join(','))
+            .join('\n');
+    }
+}
+
+/**
+ * Reads a data dictionary workbook in the layout written by TableRenderer.exportToExcel
+ * (title row, header row, category rows, one row per variable) after it has been
+ * edited in a spreadsheet, and turns it back into JSON Schema documents
+ */
+class DictionaryImporter {
+    static JSON_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+    static SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+    // Unit word in the Constraints column → [min keyword, max keyword]
+    static COUNT_KEYWORDS = {
+        chars: ['minLength', 'maxLength'],
+        items: ['minItems', 'maxItems'],
+        properties: ['minProperties', 'maxProperties']
+    };
+
+    constructor(renderer) {
+        this.renderer = renderer;
+    }
+
+    /**
+     * Plain text of an ExcelJS cell (rich text, hyperlinks, formulas and dates included)
+     * @param {Object} cell - ExcelJS cell
+     * @returns {string}
+     */
+    static cellText(cell) {
+        const value = cell.value;
+        if (value === null || value === undefined) return '';
+        if (value instanceof Date) return value.toISOString().substring(0, 10);
+
+        let text;
+        if (typeof value !== 'object') {
+            text = String(value);
+        } else if (Array.isArray(value.richText)) {
+            text = value.richText.map(run => run.text).join('');
+        } else if (value.text !== undefined) {
+            text = String(value.text);
+        } else if (value.result !== undefined) {
+            text = String(value.result);
+        } else {
+            return '';
+        }
+        return text.replace(/\r\n?/g, '\n').split('\n').map(line => line.trimEnd()).join('\n').trim();
+    }
+
+    /**
+     * Map a header cell back to the column keyword it was exported from
+     * @param {string} header - e.g. "Valid Values" or "Min Length"
+     * @returns {string}
+     */
+    keywordForHeader(header) {
+        if (header === 'Category') return 'category';
+        const definitions = this.renderer.columnManager.columnDefinitions;
+        for (const [keyword, def] of Object.entries(definitions)) {
+            if (def.display === header) return keyword;
+        }
+        // Undo ColumnManager.formatKeywordDisplay ("Min Length" → "minLength")
+        const words = header.split(' ');
+        return words[0].charAt(0).toLowerCase() + words[0].slice(1) + words.slice(1).join('');
+    }
+
+    /**
+     * Read an exported (and edited) data dictionary: its single sheet, or every category
+     * sheet of a one-sheet-per-category export (sheets without the dictionary headers,
+     * like the index, are skipped)
+     * @param {ArrayBuffer} buffer - Contents of the .xlsx file
+     * @returns {Promise<{ title: string, columns: string[],
+     *   rows: Array<{ category: string, path: string, cells: Object<string, string>, inSection?: boolean }> }>}
+     *   inSection marks rows whose category is that of the category row above them
+     */
+    async readWorkbook(buffer) {
+        const ExcelJS = TableRenderer.getExcelJS();
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(buffer);
+
+        const first = workbook.worksheets[0];
+        if (!first || first.rowCount < 2) {
+            throw new Error('The workbook does not contain a data dictionary sheet.');
+        }
+
+        const sheets = [];
+        for (const worksheet of workbook.worksheets) {
+            const columns = new Map(); // column number → keyword
+            worksheet.getRow(2).eachCell((cell, colNumber) => {
+                const header = DictionaryImporter.cellText(cell);
+                if (header) columns.set(colNumber, this.keywordForHeader(header));
+            });
+            const nameColumn = [...columns].find(([, keyword]) => keyword === 'name')?.[0];
+            if (columns.get(1) === 'category' && nameColumn) sheets.push({ worksheet, columns, nameColumn });
+        }
+        if (sheets.length === 0) {
+            throw new Error('The second row must hold the exported headers, starting with "Category" and including "Variable Name".');
+        }
+
+        const rows = [];
+        const seen = new Set();
+
+        for (const { worksheet, columns, nameColumn } of sheets) {
+            const where = sheets.length > 1 ? `Sheet "${worksheet.name}", row` : 'Row';
+            let currentCategory = '';
+
+            for (let rowNumber = 3; rowNumber <= worksheet.rowCount; rowNumber++) {
+                const row = worksheet.getRow(rowNumber);
+                const first = row.getCell(1);
+
+                // Category rows are merged across the sheet
+                if (first.isMerged) {
+                    currentCategory = DictionaryImporter.cellText(first);
+                    continue;
+                }
+
+                const path = DictionaryImporter.cellText(row.getCell(nameColumn));
+                if (!path) continue;
+
+                const category = DictionaryImporter.cellText(first) || currentCategory;
+                const inSection = !!currentCategory && category === currentCategory;
+                const key = `${category}\u0000${path}`;
+                if (seen.has(key)) {
+                    throw new Error(`${where} ${rowNumber}: "${path}" appears more than once in ${category ? `"${category}"` : 'the sheet'}.`);
+                }
+                seen.add(key);
+
+                const cells = {};
+                for (const [colNumber, keyword] of columns) {
+                    if (keyword === 'category' || keyword === 'name') continue;
+                    cells[keyword] = DictionaryImporter.cellText(row.getCell(colNumber));
+                }
+                rows.push({ category, path, cells, ...(inSection && { inSection }) });
+            }
+        }
+
+        return {
+            title: DictionaryImporter.cellText(first.getCell('A1')) || 'Data Dictionary',
+            columns: [...sheets[0].columns.values()].filter(keyword => keyword !== 'category'),
+            rows
+        };
+    }
+
+    /**
+     * Deep-copy a schema document, recording which copy belongs to which original
+     * object and which copied object contains each copied child
+     * @param {*} value
+     * @param {Map<Object, Object>} copies - original → copy
+     * @param {Map<Object, Object>} parents - copy → copy of its containing object
+     * @returns {*}
+     */
+    static cloneTracked(value, copies, parents) {
+        if (value === null || typeof value !== 'object') return value;
+        if (copies.has(value)) return copies.get(value);
+
+        const copy = Array.isArray(value) ? [] : {};
+        copies.set(value, copy);
+        for (const [key, child] of Object.entries(value)) {
+            if (key === '_sourceName') continue;
+            copy[key] = DictionaryImporter.cloneTracked(child, copies, parents);
+            if (copy[key] !== null && typeof copy[key] === 'object') parents.set(copy[key], copy);
+        }
+        return copy;
+    }
+
+    /**
+     * Rebuild JSON Schema documents from an edited workbook. Variables already in the
+     * loaded schemas have their changed cells written back into copies of those
+     * documents; new variables and categories are added, new categories as new documents.
+     * @param {Object} sheet - Result of readWorkbook
+     * @param {Object|null} data - Table data of the loaded schemas (SchemaProcessor.getTableData)
+     * @param {SchemaProcessor|null} processor - Processor the table data came from
+     * @returns {{ title: string, documents: Array<{ name: string, schema: Object, original: Object|null,
+     *   dependency: boolean }>, root: Object|null, notes: string[] }}
+     *   dependency marks documents that were loaded only because another one $refs them
+     */
+    buildSchemas(sheet, data, processor) {
+        const context = {
+            copies: new Map(),
+            parents: new Map(),
+            added: new Map(),     // key → newly created property schema
+            newDocuments: new Map(), // category → new document
+            notes: []
+        };
+
+        // Fetched dependencies too: their definitions hold variables of the table
+        const loaded = processor ? [
+            ...processor.schemaList.map(original => ({ original, dependency: false })),
+            ...processor.dependencyList.map(original => ({ original, dependency: true }))
+        ] : [];
+        const documents = data ? loaded.map(({ original, dependency }) => ({
+            name: original._sourceName || `${DictionaryImporter.slug(original.title)}.json`,
+            schema: DictionaryImporter.cloneTracked(original, context.copies, context.parents),
+            original,
+            dependency
+        })) : [];
+
+        const properties = data?.properties || [];
+        const byKey = new Map();
+        for (const prop of properties) {
+            const key = DictionaryDiff.keyOf(prop);
+            if (!byKey.has(key)) byKey.set(key, prop);
+        }
+
+        const rows = DictionaryImporter.placeSectionRows(sheet.rows, byKey);
+        for (const row of rows) {
+            const prop = byKey.get(DictionaryDiff.keyOf(row));
+            if (prop) {
+                this.applyEdits(row, prop, context);
+            } else {
+                this.addVariable(row, properties, sheet.title, context);
+            }
+        }
+
+        // Rows deleted from the sheet are not deleted from the schemas
+        const sheetKeys = new Set(rows.map(row => DictionaryDiff.keyOf(row)));
+        const missing = [...byKey.keys()].filter(key => !sheetKeys.has(key)).length;
+        if (missing > 0) {
+            context.notes.push(`${missing} variable${missing === 1 ? ' is' : 's are'} not in the workbook and ${missing === 1 ? 'was' : 'were'} kept unchanged`);
+        }
+
+        // New categories become documents of their own, referenced from the row schema
+        const root = this.findRowSchema(documents, processor, context);
+        for (const [category, schema] of context.newDocuments) {
+            const name = `${DictionaryImporter.slug(category || sheet.title)}.json`;
+            documents.push({ name, schema, original: null, dependency: false });
+            if (root) {
+                root.allOf = root.allOf || [];
+                root.allOf.push({ $ref: name });
+            }
+        }
+
+        return { title: sheet.title, documents, root, notes: context.notes };
+    }
+
+    /**
+     * Rows that took their category from the section above them, but are a variable
+     * without a category (older exports list those after an array's items under the
+     * items' category), get their category back
+     * @param {Object[]} rows - Rows of readWorkbook
+     * @param {Map<string, Object>} byKey - Loaded variables by DictionaryDiff.keyOf
+     * @returns {Object[]} The rows; those given their category back are copies
+     */
+    static placeSectionRows(rows, byKey) {
+        const sheetKeys = new Set(rows.map(row => DictionaryDiff.keyOf(row)));
+        return rows.map(row => {
+            if (!row.inSection || byKey.has(DictionaryDiff.keyOf(row))) return row;
+            const own = { ...row, category: '' };
+            const key = DictionaryDiff.keyOf(own);
+            return byKey.has(key) && !sheetKeys.has(key) ? own : row;
+        });
+    }
+
+    /**
+     * Copy of the schema whose properties (or allOf entries) make up a table row,
+     * when all categories hang off one schema (a single object schema or a dataset's
+     * row schema). Null when each loaded document is its own category.
+     * @returns {Object|null}
+     */
+    findRowSchema(documents, processor, context) {
+        if (!processor?.mainSchema || documents.length === 0) return null;
+
+        const main = processor.mainSchema;
+        if (main.type === 'array' && main.items) {
+            const located = main.items.$ref ? processor.locateRef(main.items.$ref, main) : { schema: main.items };
+            return located ? context.copies.get(located.schema) || null : null;
+        }
+        const objectSchemas = processor.schemaList.filter(s => !(s.type === 'array' && s.items));
+        return objectSchemas.length > 1 ? null : context.copies.get(main) || null;
+    }
+
+    /**
+     * Write the changed cells of one existing variable back into the copied schemas
+     * @param {Object} row - Workbook row
+     * @param {Object} prop - Matching property from the loaded table data
+     * @param {Object} context - State of the current buildSchemas run
+     */
+    applyEdits(row, prop, context) {
+        const label = `${row.category ? `${row.category} › ` : ''}${row.path}`;
+
+        // Cells that still read exactly as exported are left alone, as are the read-only columns
+        const edits = Object.entries(row.cells).filter(([keyword, text]) =>
+            keyword !== 'additionalInfo' && keyword !== 'validation' &&
+            text !== this.renderer.formatExportValue(keyword, prop, 'excel'));
+        if (edits.length === 0) return;
+
+        const container = context.copies.get(prop.owner?.properties);
+        const node = container?.[prop.name];
+        if (!node || typeof node !== 'object') {
+            context.notes.push(`${label}: could not be located in the loaded schemas, edits skipped`);
+            return;
+        }
+
+        for (const [keyword, text] of edits) {
+            switch (keyword) {
+                case 'constraints': {
+                    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+                    const required = lines.includes('Required');
+                    if (required !== !!prop.required) {
+                        this.setRequired(context.parents.get(container), prop.name, required);
+                    }
+
+                    // Only write the limits whose lines were actually edited
+                    const exported = this.renderer.formatConstraintsColumn({ ...prop, required: false }, prop.schema);
+                    const before = DictionaryImporter.parseConstraints(exported, prop.schema);
+                    const after = DictionaryImporter.parseConstraints(lines.filter(line => line !== 'Required'), prop.schema);
+                    for (const keyword of new Set([...Object.keys(before.keywords), ...Object.keys(after.keywords)])) {
+                        if (before.keywords[keyword] === after.keywords[keyword]) continue;
+                        if (after.keywords[keyword] === undefined) delete node[keyword];
+                        else node[keyword] = after.keywords[keyword];
+                    }
+                    for (const line of after.unread.filter(line => !before.unread.includes(line))) {
+                        context.notes.push(`${label}: constraint "${line}" was not understood and not imported`);
+                    }
+                    break;
+                }
+                default:
+                    this.applyCell(node, keyword, text, prop.schema, label, context);
+            }
+        }
+    }
+
+    /**
+     * Add a variable that is not in the loaded schemas, next to its siblings, inside
+     * its parent object, or in a new document for its category
+     * @param {Object} row - Workbook row
+     * @param {Object[]} properties - Loaded table data properties
+     * @param {string} title - Workbook title, used for an unnamed category
+     * @param {Object} context - State of the current buildSchemas run
+     */
+    addVariable(row, properties, title, context) {
+        const label = `${row.category ? `${row.category} › ` : ''}${row.path}`;
+        const dot = row.path.lastIndexOf('.');
+        const parentPath = dot === -1 ? '' : row.path.substring(0, dot);
+        const name = row.path.substring(dot + 1);
+
+        const holder = this.findHolder(row.category, parentPath, properties, title, context);
+        if (!holder) {
+            context.notes.push(`${label}: its parent "${parentPath}" is defined elsewhere (a $ref), variable skipped`);
+            return;
+        }
+
+        const node = {};
+        holder.properties = holder.properties || {};
+        holder.properties[name] = node;
+        context.added.set(DictionaryDiff.keyOf(row), node);
+
+        // Type first, so values are read with the right type
+        const ordered = Object.entries(row.cells).sort(([a], [b]) => (b === 'type') - (a === 'type'));
+        for (const [keyword, text] of ordered) {
+            if (!text) continue;
+            if (keyword === 'constraints') {
+                const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+                if (lines.includes('Required')) this.setRequired(holder, name, true);
+                const { keywords, unread } = DictionaryImporter.parseConstraints(lines.filter(line => line !== 'Required'), node);
+                Object.assign(node, keywords);
+                for (const line of unread) {
+                    context.notes.push(`${label}: constraint "${line}" was not understood and not imported`);
+                }
+            } else if (keyword !== 'additionalInfo' && keyword !== 'validation') {
+                this.applyCell(node, keyword, text, node, label, context);
+            }
+        }
+    }
+
+    /**
+     * Find (or create) the object schema a new variable belongs in
+     * @returns {Object|null} Copied or new object schema with a properties map
+     */
+    findHolder(category, parentPath, properties, title, context) {
+        const parentOf = path => path.includes('.') ? path.substring(0, path.lastIndexOf('.')) : '';
+
+        const sibling = properties.find(p => (p.category || '') === category &&
+            parentOf(DictionaryDiff.pathOf(p)) === parentPath);
+        if (sibling) {
+            const container = context.copies.get(sibling.owner?.properties);
+            if (container) return context.parents.get(container);
+        }
+
+        if (parentPath) {
+            const parentKey = DictionaryDiff.keyOf({ category, path: parentPath });
+            const addedParent = context.added.get(parentKey);
+            if (addedParent) {
+                if (!addedParent.type) addedParent.type = 'object';
+                return addedParent;
+            }
+
+            const parent = properties.find(p => DictionaryDiff.keyOf(p) === parentKey);
+            if (parent) {
+                const container = parent.schema.properties && context.copies.get(parent.schema.properties);
+                if (container) return context.parents.get(container);
+                const node = context.copies.get(parent.owner?.properties)?.[parent.name];
+                return node && !node.$ref ? node : null;
+            }
+        }
+
+        // Nothing loaded for this category: start a new document for it
+        if (!context.newDocuments.has(category)) {
+            context.newDocuments.set(category, {
+                $schema: DictionaryImporter.SCHEMA_DIALECT,
+                title: category || title,
+                type: 'object',
+                properties: {}
+            });
+        }
+        let holder = context.newDocuments.get(category);
+        for (const segment of parentPath ? parentPath.split('.') : []) {
+            holder.properties = holder.properties || {};
+            holder = holder.properties[segment] = holder.properties[segment] || { type: 'object', properties: {} };
+        }
+        return holder;
+    }
+
+    /**
+     * Read Constraints lines in the form formatConstraintsColumn writes them ("Range: 0-120",
+     * "1-50 chars", "Pattern: ^[A-Z]+$", "Multiple of 5", "1-∞ items", "Unique items")
+     * back into keywords. Conditional rules and per-alternative lines are left unread.
+     * @param {string[]} lines - Constraint lines, without "Required"
+     * @param {Object} current - Schema the lines describe, to place a one-sided range
+     * @returns {{ keywords: Object, unread: string[] }}
+     */
+    static parseConstraints(lines, current) {
+        const keywords = {};
+        const unread = [];
+        const number = '(-?\\d+(?:\\.\\d+)?)';
+        const count = (min, max, minKeyword, maxKeyword) => {
+            if (Number(min) > 0) keywords[minKeyword] = Number(min);
+            if (max !== '∞') keywords[maxKeyword] = Number(max);
+        };
+
+        for (const line of lines) {
+            let match;
+            if ((match = line.match(new RegExp(`^Range:\\s*(>)?${number}\\s*-\\s*(<)?${number}$`)))) {
+                keywords[match[1] ? 'exclusiveMinimum' : 'minimum'] = Number(match[2]);
+                keywords[match[3] ? 'exclusiveMaximum' : 'maximum'] = Number(match[4]);
+            } else if ((match = line.match(new RegExp(`^Range:\\s*([<>])?${number}$`)))) {
+                // "Range: 10" is written for a minimum or a maximum alone
+                const upper = match[1] === '<' ||
+                    (!match[1] && current.maximum !== undefined && current.minimum === undefined);
+                const keyword = match[1] ? (upper ? 'exclusiveMaximum' : 'exclusiveMinimum') : (upper ? 'maximum' : 'minimum');
+                keywords[keyword] = Number(match[2]);
+            } else if ((match = line.match(/^(\d+) (chars|items|properties)$/))) {
+                const [minKeyword, maxKeyword] = DictionaryImporter.COUNT_KEYWORDS[match[2]];
+                count(match[1], match[1], minKeyword, maxKeyword);
+            } else if ((match = line.match(/^(\d+)-(\d+|∞) (chars|items|properties)$/))) {
+                const [minKeyword, maxKeyword] = DictionaryImporter.COUNT_KEYWORDS[match[3]];
+                count(match[1], match[2], minKeyword, maxKeyword);
+            } else if ((match = line.match(/^Pattern: (.+)$/))) {
+                // Long patterns are exported truncated, so those can't be read back
+                if (!(match[1].length === 33 && match[1].endsWith('...'))) keywords.pattern = match[1];
+            } else if ((match = line.match(new RegExp(`^Multiple of ${number}$`)))) {
+                keywords.multipleOf = Number(match[1]);
+            } else if (line === 'Unique items') {
+                keywords.uniqueItems = true;
+            } else if (!line.startsWith('Const: ')) {
+                // Const values are read from the Valid Values column
+                unread.push(line);
+            }
+        }
+        return { keywords, unread };
+    }
+
+    /**
+     * @param {Object} holder - Object schema listing the variable
+     * @param {string} name - Property name
+     * @param {boolean} required
+     */
+    setRequired(holder, name, required) {
+        if (!holder) return;
+        const list = Array.isArray(holder.required) ? holder.required : [];
+        const index = list.indexOf(name);
+        if (required && index === -1) list.push(name);
+        if (!required && index !== -1) list.splice(index, 1);
+
+        if (list.length > 0) holder.required = list;
+        else delete holder.required;
+    }
+
+    /**
+     * Write one edited cell into a property schema
+     * @param {Object} node - Property schema to change (as written in its document)
+     * @param {string} keyword - Column keyword
+     * @param {string} text - Cell text
+     * @param {Object} current - Resolved schema the cell was exported from (types the values)
+     * @param {string} label - Variable label for notes
+     * @param {Object} context - State of the current buildSchemas run
+     */
+    applyCell(node, keyword, text, current, label, context) {
+        switch (keyword) {
+            case 'description':
+                if (text) node.description = text;
+                else delete node.description;
+                break;
+
+            case 'type': {
+                const line = text.split('\n')[0].trim();
+                if (!line) {
+                    delete node.type;
+                    break;
+                }
+                const types = line.split('|').map(t => t.trim());
+                if (!types.every(t => DictionaryImporter.JSON_TYPES.includes(t))) {
+                    context.notes.push(`${label}: "${line}" is not a JSON Schema type, Data Type not imported`);
+                    break;
+                }
+                node.type = types.length === 1 ? types[0] : types;
+                break;
+            }
+
+            case 'format': {
+                const value = text.split('\n')[0].replace(/ \(custom\)$/, '').trim();
+                if (value) node.format = value;
+                else delete node.format;
+                break;
+            }
+
+            case 'enum':
+                this.applyValues(node, text, current, label, context);
+                break;
+
+            default: {
+                if (!text) {
+                    delete node[keyword];
+                    break;
+                }
+                // Values are exported as plain text for strings and JSON for everything else
+                let value = text;
+                if (typeof current[keyword] !== 'string') {
+                    try {
+                        value = JSON.parse(text);
+                    } catch { /* keep as text */ }
+                }
+                node[keyword] = value;
+            }
+        }
+    }
+
+    /**
+     * Read a Valid Values cell ("• value: description" bullets, or a single const value)
+     * @param {Object} node - Property schema to change
+     * @param {string} text - Cell text
+     * @param {Object} current - Resolved schema the cell was exported from
+     * @param {string} label - Variable label for notes
+     * @param {Object} context - State of the current buildSchemas run
+     */
+    applyValues(node, text, current, label, context) {
+        const lines = text.split('\n').map(line => line.replace(/^[•\-*]\s*/, '').trim()).filter(Boolean);
+
+        if (/^(One|Any) of:$/i.test(lines[0] || '')) {
+            context.notes.push(`${label}: oneOf / anyOf alternatives are not imported, edit them in the schema`);
+            return;
+        }
+
+        delete node.enum;
+        delete node.enumDescriptions;
+        delete node.const;
+        if (lines.length === 0) return;
+
+        // Keep the original spelling and type of values that were already there
+        const known = new Map();
+        for (const value of [...(Array.isArray(current.enum) ? current.enum : []), current.const]) {
+            if (value !== undefined) known.set(String(value), value);
+        }
+        const types = [].concat(node.type || current.type || []);
+
+        const values = [];
+        const labels = [];
+        for (const line of lines) {
+            let raw = line;
+            let description = '';
+            const separator = line.indexOf(': ');
+            if (!known.has(line) && separator !== -1) {
+                raw = line.substring(0, separator).trim();
+                description = line.substring(separator + 2).trim();
+            }
+            values.push(known.has(raw) ? known.get(raw) : DictionaryImporter.parseValue(raw, types));
+            labels.push(description);
+        }
+
+        const hasLabels = labels.some(Boolean);
+        if (values.length === 1 && !hasLabels && current.const !== undefined) {
+            node.const = values[0];
+        } else {
+            node.enum = values;
+            if (hasLabels) node.enumDescriptions = labels;
+        }
+    }
+
+    /**
+     * Type a value typed into a spreadsheet cell according to the variable's type
+     * @param {string} raw
+     * @param {string[]} types - Declared type(s) of the variable, possibly empty
+     * @returns {*}
+     */
+    static parseValue(raw, types) {
+        const allows = type => types.length === 0 || types.includes(type);
+        if (raw === 'null' && allows('null')) return null;
+        if ((raw === 'true' || raw === 'false') && allows('boolean')) return raw === 'true';
+        if (raw !== '' && !isNaN(raw) && (types.includes('number') || types.includes('integer') ||
+            (types.length === 0 && /^-?\d+(\.\d+)?$/.test(raw)))) {
+            return Number(raw);
+        }
+        return raw;
+    }
+
+    /**
+     * File-name friendly version of a title
+     * @param {string} text
+     * @returns {string}
+     */
+    static slug(text) {
+        return String(text || 'schema').trim().toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'schema';
+    }
+
+    /**
+     * Fold the rebuilt documents into one schema: the row schema's document (or a new
+     * wrapper when every document is a category of its own) with the other documents
+     * under $defs and every $ref pointed at its new location
+     * @param {Object} result - Result of buildSchemas
+     * @param {SchemaProcessor|null} processor - Processor of the loaded schemas, for $ref lookups
+     * @returns {Object}
+     */
+    combine(result, processor) {
+        if (result.documents.length === 1) return result.documents[0].schema;
+
+        // Work on copies, so the per-file documents keep their own $refs
+        const documents = result.documents.map(doc => ({ ...doc, schema: JSON.parse(JSON.stringify(doc.schema)) }));
+
+        const mainCopy = result.root && documents.find(d => d.original === processor?.mainSchema)?.schema;
+        const rootDoc = mainCopy || {
+            $schema: DictionaryImporter.SCHEMA_DIALECT,
+            title: result.title,
+            type: 'object',
+            allOf: []
+        };
+
+        // Give every other document a unique $defs key
+        const keys = new Map();
+        const used = new Set(Object.keys(rootDoc.$defs || {}));
+        for (const doc of documents) {
+            if (doc.schema === rootDoc) continue;
+            let key = DictionaryImporter.slug(doc.schema.title || doc.name.replace(/\.json$/i, ''));
+            for (let n = 2; used.has(key); n++) key = `${key.replace(/-\d+$/, '')}-${n}`;
+            used.add(key);
+            keys.set(doc, key);
+        }
+
+        const findDocument = (docRef, from) => documents.find(d => d.name === docRef) ||
+            documents.find(d => d.original && d.original === processor?.findSchemaDocument(docRef, from.original));
+        const pointerTo = doc => doc.schema === rootDoc ? '#' : `#/$defs/${keys.get(doc)}`;
+
+        const rewrite = (node, doc) => {
+            if (Array.isArray(node)) {
+                node.forEach(child => rewrite(child, doc));
+                return;
+            }
+            if (node === null || typeof node !== 'object') return;
+            if (typeof node.$ref === 'string') {
+                const hashIdx = node.$ref.indexOf('#');
+                const docRef = hashIdx === -1 ? node.$ref : node.$ref.substring(0, hashIdx);
+                const fragment = hashIdx === -1 ? '' : node.$ref.substring(hashIdx + 1);
+                const target = docRef ? findDocument(docRef, doc) : doc;
+                if (target) node.$ref = pointerTo(target) + fragment;
+            }
+            for (const child of Object.values(node)) rewrite(child, doc);
+        };
+        for (const doc of documents) rewrite(doc.schema, doc);
+
+        const combined = { ...rootDoc, $defs: { ...(rootDoc.$defs || {}) } };
+        for (const doc of documents) {
+            if (doc.schema === rootDoc) continue;
+            const { $schema, $id, ...definition } = doc.schema;
+            combined.$defs[keys.get(doc)] = definition;
+            if (!mainCopy && !doc.dependency && !(definition.type === 'array' && definition.items)) {
+                combined.allOf.push({ $ref: pointerTo(doc) });
+            }
+        }
+        return combined;
+    }
+}
+
+// Node.js (CLI and build scripts). In the browser these classes are globals shared with app.js.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SchemaProcessor,
+        ColumnManager,
+        TableRenderer,
+        DictionaryDiff,
+        SchemaLinter,
+        DataValidator,
+        DataGenerator,
+        DictionaryImporter
+    };
+}
@@ -0,0 +1,116 @@
+/**
+ * Smoke test for cli.js: every output format from the fixtures, schemas from a URL,
+ * example data, and the errors for bad options
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('node:child_process');
+const { promisify } = require('node:util');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+const SINGLE = path.join(__dirname, 'fixtures', 'single_schema', 'covid-patient-dataset.json');
+const MULTIPLE = ['dataset.json', 'combined-row.json', 'demographics.json', 'lab-results.json', 'adverse-events.json']
+    .map(name => path.join(__dirname, 'fixtures', 'multiple_schema', name));
+
+let dir;
+
+/**
+ * Run the CLI; resolves with its output whether it succeeds or not
+ * @param {string[]} args
+ * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
+ */
+async function cli(...args) {
+    try {
+        const { stdout, stderr } = await promisify(execFile)(process.execPath, [CLI, ...args], { timeout: 60000 });
+        return { code: 0, stdout, stderr };
+    } catch (error) {
+        return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+    }
+}
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dictionary-cli-'));
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('writes each output format', async () => {
+    const checks = {
+        'out.csv': text => assert.match(text.split('\n')[0], /Variable Name/),
+        'out.tsv': text => assert.match(text.split('\n')[0], /Variable Name\t/),
+        'out.md': text => assert.match(text, /\| Variable Name \|/),
+        'out.json': text => assert.ok(JSON.parse(text).variables || JSON.parse(text)),
+        'out.html': text => {
+            assert.match(text, /^<!DOCTYPE html>/i);
+            assert.match(text, /patient_id/);
+        }
+    };
+    for (const [file, check] of Object.entries(checks)) {
+        const output = path.join(dir, file);
+        const result = await cli(SINGLE, '-o', output);
+        assert.equal(result.code, 0, result.stderr);
+        assert.match(result.stdout, /Wrote \d+ variables/);
+        check(fs.readFileSync(output, 'utf8'));
+    }
+
+    const xlsx = path.join(dir, 'out.xlsx');
+    const result = await cli(...MULTIPLE, '-o', xlsx);
+    assert.equal(result.code, 0, result.stderr);
+    assert.equal(fs.readFileSync(xlsx).subarray(0, 2).toString(), 'PK');
+});
+
+test('follows --format instead of the extension', async () => {
+    const output = path.join(dir, 'table.txt');
+    const result = await cli(SINGLE, '-f', 'markdown', '-o', output);
+    assert.equal(result.code, 0, result.stderr);
+    assert.match(fs.readFileSync(output, 'utf8'), /\| Variable Name \|/);
+});
+
+test('loads schemas from a URL', async () => {
+    const server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(fs.readFileSync(SINGLE));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const output = path.join(dir, 'url.csv');
+        const result = await cli(`http://127.0.0.1:${server.address().port}/covid-patient-dataset.json`, '-o', output);
+        assert.equal(result.code, 0, result.stderr);
+        assert.match(fs.readFileSync(output, 'utf8'), /patient_id/);
+    } finally {
+        server.close();
+    }
+});
+
+test('writes the chosen columns in order', async () => {
+    const output = path.join(dir, 'columns.csv');
+    const result = await cli(SINGLE, '-c', 'type,description', '-o', output);
+    assert.equal(result.code, 0, result.stderr);
+    assert.equal(fs.readFileSync(output, 'utf8').split('\n')[0], 'Category,Variable Name,Data Type,Description');
+});
+
+test('rejects an unknown column', async () => {
+    const result = await cli(SINGLE, '-c', 'name,descripton', '-o', path.join(dir, 'bad.csv'));
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /Unknown column: descripton\. Valid columns: .*description/);
+    assert.ok(!fs.existsSync(path.join(dir, 'bad.csv')));
+});
+
+test('rejects an unknown output format', async () => {
+    const result = await cli(SINGLE, '-o', path.join(dir, 'out.pdf'));
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /Can't tell the output format/);
+});
+
+test('writes example data', async () => {
+    const output = path.join(dir, 'example.json');
+    const result = await cli(SINGLE, '--example-data', '5', '--seed', '7', '-o', output);
+    assert.equal(result.code, 0, result.stderr);
+    assert.equal(JSON.parse(fs.readFileSync(output, 'utf8')).length, 5);
+});
@@ -0,0 +1,116 @@
+/**
+ * Example data from DataGenerator passes DataValidator in every format it is written in
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { SchemaProcessor, DataValidator, DataGenerator } = require('../dictionary');
+
+const HOUSEHOLD = {
+    title: 'Household',
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['id', 'tags', 'kids'],
+        properties: {
+            id: { type: 'integer', minimum: 1 },
+            code: { type: 'string', pattern: '^[A-Z]{2}-\\d{3}$' },
+            note: { type: ['string', 'null'], maxLength: 20 },
+            owned: { type: 'boolean' },
+            tags: { type: 'array', items: { enum: ['urban', 'rural', 'coastal'] }, minItems: 1 },
+            address: {
+                type: 'object',
+                required: ['city'],
+                properties: { city: { type: 'string' }, zip: { type: 'string', pattern: '^\\d{5}$' } }
+            },
+            kids: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    required: ['name', 'age'],
+                    properties: {
+                        name: { type: 'string', minLength: 2 },
+                        age: { type: 'integer', minimum: 0, maximum: 17 },
+                        pets: {
+                            type: 'array',
+                            items: { type: 'object', required: ['kind'], properties: { kind: { enum: ['cat', 'dog'] } } }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+async function tableData(schema, name = 'household.json') {
+    const processor = new SchemaProcessor();
+    await processor.processFiles([], [{ text: JSON.stringify(schema), name }]);
+    return processor.getTableData();
+}
+
+/**
+ * Generate records, write them as format and check them the way the page checks a data file
+ */
+function roundTrip(data, format, count = 30) {
+    const records = new DataGenerator({ seed: 11 }).generate(data, count);
+    const text = DataGenerator.serialize(records, format);
+    const { records: parsed, format: read } = DataValidator.parseDataFile(text, `example.${format}`);
+    return new DataValidator().validate(data, parsed, { coerceStrings: read === 'csv' });
+}
+
+for (const format of ['csv', 'json', 'ndjson']) {
+    test(`generated ${format} passes validation`, async () => {
+        const data = await tableData(HOUSEHOLD);
+        const report = roundTrip(data, format);
+        assert.equal(report.recordCount, 30);
+        assert.deepEqual(report.errors, []);
+    });
+}
+
+test('checks the variables inside arrays written to CSV as JSON text', async () => {
+    const data = await tableData(HOUSEHOLD);
+    const text = DataGenerator.serialize([{
+        id: 1, tags: ['urban'], note: null,
+        kids: [{ name: 'Al', age: 30, pets: [{ kind: 'cow' }] }]
+    }], 'csv');
+    const { records } = DataValidator.parseDataFile(text, 'example.csv');
+    const report = new DataValidator().validate(data, records, { coerceStrings: true });
+    assert.deepEqual(report.errors.map(error => error.path).sort(), ['kids[].age', 'kids[].pets[].kind']);
+});
+
+test('generated data for the fixture schemas passes validation', async () => {
+    const dir = path.join(__dirname, 'fixtures', 'single_schema');
+    for (const file of fs.readdirSync(dir)) {
+        const data = await tableData(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')), file);
+        for (const format of ['csv', 'json']) {
+            assert.deepEqual(roundTrip(data, format, 20).errors, [], `${file} as ${format}`);
+        }
+    }
+});
+
+test('decodes \\u, \\u{…} and \\x escapes in patterns', () => {
+    const generator = new DataGenerator({ seed: 5 });
+    for (const pattern of ['^[\\u0041-\\u0043]+$', '^\\x41\\x42-\\d{2}$', '^[\\u{1F600}-\\u{1F602}]{2}$', '^caf\\u00e9$']) {
+        for (let i = 0; i < 20; i++) {
+            const value = generator.fromPattern(pattern);
+            assert.match(value, new RegExp(pattern, 'u'), `${pattern} gave ${value}`);
+        }
+    }
+});
+
+test('warns about variables whose pattern it cannot generate from', async () => {
+    const data = await tableData({
+        type: 'object',
+        properties: {
+            letters: { type: 'string', pattern: '^\\p{Lu}{2}\\d$' },
+            word: { type: 'string', pattern: '^\\bx' },
+            code: { type: 'string', pattern: '^[A-Z]{3}$' }
+        }
+    });
+    const generator = new DataGenerator({ seed: 2, missingRate: 0 });
+    generator.generate(data, 5);
+    assert.deepEqual([...generator.warnings.keys()].sort(), ['letters', 'word']);
+    assert.match(generator.warnings.get('letters'), /\^\\p\{Lu\}\{2\}\\d\$.*Unsupported escape \\p/);
+});
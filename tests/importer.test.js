@@ -0,0 +1,115 @@
+/**
+ * Excel round trip: export a dictionary, edit the workbook, and rebuild the schemas
+ * from it with DictionaryImporter
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { SchemaProcessor, ColumnManager, TableRenderer, DictionaryImporter } = require('../dictionary');
+
+// A top-level variable after an array of objects, whose items form a section of their own
+const FAMILY = {
+    title: 'Family',
+    type: 'object',
+    properties: {
+        id: { type: 'integer', description: 'Family id' },
+        kids: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', description: 'First name' },
+                    age: { type: 'integer', minimum: 0 }
+                }
+            }
+        },
+        t: { type: 'string', description: 'Town' }
+    }
+};
+
+async function load(schema) {
+    const processor = new SchemaProcessor();
+    await processor.processFiles([], [{ text: JSON.stringify(schema), name: 'family.json' }]);
+    return { processor, data: processor.getTableData() };
+}
+
+/**
+ * Export the table data to a workbook, let edit change it, and read it back
+ * @param {Object} data
+ * @param {function(Object): void} [edit] - Gets the ExcelJS worksheet
+ */
+async function roundTrip(data, edit) {
+    const renderer = new TableRenderer(new ColumnManager());
+    const exported = await renderer.createExcelWorkbook(data).xlsx.writeBuffer();
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(exported);
+    if (edit) edit(workbook.worksheets[0]);
+    return new DictionaryImporter(renderer).readWorkbook(await workbook.xlsx.writeBuffer());
+}
+
+function findRow(worksheet, path) {
+    for (let i = 3; i <= worksheet.rowCount; i++) {
+        if (worksheet.getRow(i).getCell(2).value === path) return worksheet.getRow(i);
+    }
+    throw new Error(`No row for ${path}`);
+}
+
+test('keeps a variable after an array section out of the array items', async () => {
+    const { processor, data } = await load(FAMILY);
+    const sheet = await roundTrip(data, worksheet => {
+        findRow(worksheet, 't').getCell(3).value = 'Town of residence';
+    });
+
+    assert.deepEqual(sheet.rows.map(row => [row.category, row.path]), [
+        ['', 'id'], ['', 'kids'], ['kids — array items', 'name'], ['kids — array items', 'age'], ['', 't']
+    ]);
+
+    const importer = new DictionaryImporter(new TableRenderer(new ColumnManager()));
+    const result = importer.buildSchemas(sheet, data, processor);
+    assert.deepEqual(result.notes, []);
+    const schema = result.documents[0].schema;
+    assert.equal(schema.properties.t.description, 'Town of residence');
+    assert.deepEqual(Object.keys(schema.properties.kids.items.properties), ['name', 'age']);
+});
+
+test('gives a variable without a category back its place in older exports', async () => {
+    const { processor, data } = await load(FAMILY);
+    // Exports used to write the last category into every row after it
+    const sheet = await roundTrip(data, worksheet => {
+        const row = findRow(worksheet, 't');
+        row.getCell(1).value = 'kids — array items';
+        row.getCell(3).value = 'Town of residence';
+        worksheet.spliceRows(row.number - 1, 1);
+    });
+
+    const importer = new DictionaryImporter(new TableRenderer(new ColumnManager()));
+    const result = importer.buildSchemas(sheet, data, processor);
+    assert.deepEqual(result.notes, []);
+    const schema = result.documents[0].schema;
+    assert.equal(schema.properties.t.description, 'Town of residence');
+    assert.deepEqual(Object.keys(schema.properties.kids.items.properties), ['name', 'age']);
+});
+
+test('adds a new variable typed under a category row to that category', async () => {
+    const { processor, data } = await load(FAMILY);
+    const sheet = await roundTrip(data, worksheet => {
+        const age = findRow(worksheet, 'age');
+        worksheet.insertRow(age.number + 1, ['', 'school', 'School name', 'string']);
+    });
+
+    const row = sheet.rows.find(r => r.path === 'school');
+    assert.equal(row.category, 'kids — array items');
+
+    const importer = new DictionaryImporter(new TableRenderer(new ColumnManager()));
+    const result = importer.buildSchemas(sheet, data, processor);
+    assert.equal(result.documents[0].schema.properties.kids.items.properties.school.description, 'School name');
+});
+
+test('leaves the schemas alone when nothing was edited', async () => {
+    const { processor, data } = await load(FAMILY);
+    const sheet = await roundTrip(data);
+    const importer = new DictionaryImporter(new TableRenderer(new ColumnManager()));
+    const result = importer.buildSchemas(sheet, data, processor);
+    assert.deepEqual(result.notes, []);
+    assert.deepEqual(result.documents[0].schema, FAMILY);
+});
@@ -0,0 +1,42 @@
+/**
+ * SchemaProcessor: how property schemas are resolved into table rows
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SchemaProcessor } = require('../dictionary');
+
+async function rows(schema) {
+    const processor = new SchemaProcessor();
+    await processor.processFiles([], [{ text: JSON.stringify(schema), name: 'schema.json' }]);
+    return processor.getTableData().properties;
+}
+
+test('merges a property allOf of $refs like a $ref with siblings', async () => {
+    const properties = await rows({
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        type: 'object',
+        definitions: {
+            siteCode: { type: 'string', pattern: '^[A-Z]{3}$' },
+            address: { type: 'object', required: ['city'], properties: { city: { type: 'string' } } },
+            location: { type: 'object', properties: { lat: { type: 'number' } } }
+        },
+        properties: {
+            site: { allOf: [{ $ref: '#/definitions/siteCode' }], description: 'Enrolling site' },
+            home: { allOf: [{ $ref: '#/definitions/address' }, { $ref: '#/definitions/location' }] },
+            missing: { allOf: [{ $ref: '#/definitions/nowhere' }] }
+        }
+    });
+
+    const site = properties.find(row => row.path === 'site');
+    assert.equal(site.schema.type, 'string');
+    assert.equal(site.schema.pattern, '^[A-Z]{3}$');
+    assert.equal(site.schema.description, 'Enrolling site');
+    assert.equal(site.refSource, '#/definitions/siteCode');
+
+    assert.deepEqual(properties.filter(row => row.path.startsWith('home.')).map(row => [row.path, row.required]),
+        [['home.city', true], ['home.lat', false]]);
+
+    const missing = properties.find(row => row.path === 'missing');
+    assert.deepEqual(missing.schema.allOf, [{ $ref: '#/definitions/nowhere' }]);
+    assert.equal(missing.refSource, null);
+});